@@ -1,5 +1,6 @@
 const express = require('express');
 const { Pool } = require('pg');
+const { DefaultAzureCredential } = require('@azure/identity');
 const path = require('path');
 
 const app = express();
@@ -8,13 +9,26 @@ const port = 3000;
 // Serve static files from public directory
 app.use(express.static('public'));
 
+// With auth_mode: entra the provider sends no password, only POSTGRES_TOKEN_SCOPE,
+// and POSTGRES_USER is entra_app_principal: the container must run as that identity.
+// pg calls the password function for every new connection, so each one signs in
+// with a current Microsoft Entra token; the credential caches tokens and refreshes
+// them before they expire. Open connections stay valid after their token expires.
+function entraPassword() {
+  const credential = new DefaultAzureCredential();
+  return async () => {
+    const { token } = await credential.getToken(process.env.POSTGRES_TOKEN_SCOPE);
+    return token;
+  };
+}
+
 // Connection configuration using environment variables injected by the provider
 const pool = new Pool({
   host: process.env.POSTGRES_HOST,
   port: process.env.POSTGRES_PORT || 5432,
   database: process.env.POSTGRES_DATABASE,
   user: process.env.POSTGRES_USER,
-  password: process.env.POSTGRES_PASSWORD,
+  password: process.env.POSTGRES_AUTH_MODE === 'entra' ? entraPassword() : process.env.POSTGRES_PASSWORD,
   ssl: {
     rejectUnauthorized: false // Azure PostgreSQL requires SSL
   }
@@ -28,22 +42,6 @@ const pool = new Pool({
 //   }
 // });
 
-// Initialize database
-async function initDB() {
-  try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS visitors (
-        id SERIAL PRIMARY KEY,
-        timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        ip_address VARCHAR(45)
-      )
-    `);
-    console.log('Database initialized successfully');
-  } catch (err) {
-    console.error('Error initializing database:', err);
-  }
-}
-
 // Routes
 // Main page - serve React frontend
 app.get('/', (req, res) => {
@@ -101,15 +99,15 @@ app.get('/health', async (req, res) => {
 });
 
 // Start server
-app.listen(port, async () => {
+// The visitors table is created by the provider from db/init before this starts
+app.listen(port, () => {
   console.log(`Server running on port ${port}`);
   console.log('Environment variables received:');
   console.log(`- POSTGRES_HOST: ${process.env.POSTGRES_HOST}`);
   console.log(`- POSTGRES_DATABASE: ${process.env.POSTGRES_DATABASE}`);
   console.log(`- POSTGRES_USER: ${process.env.POSTGRES_USER}`);
   console.log(`- POSTGRES_PASSWORD: ${process.env.POSTGRES_PASSWORD ? '***' : 'not set'}`);
-  
-  await initDB();
+  console.log(`- POSTGRES_AUTH_MODE: ${process.env.POSTGRES_AUTH_MODE || 'password'}`);
 });
 
 // Graceful shutdown
@@ -1,4 +1,15 @@
 const { Pool } = require('pg');
+const { DefaultAzureCredential } = require('@azure/identity');
+
+// With auth_mode: entra each new connection signs in with a Microsoft Entra token
+// instead of a password, as in index.js
+function entraPassword() {
+  const credential = new DefaultAzureCredential();
+  return async () => {
+    const { token } = await credential.getToken(process.env.POSTGRES_TOKEN_SCOPE);
+    return token;
+  };
+}
 
 // Worker service that uses the same Azure PostgreSQL provider
 const pool = new Pool({
@@ -6,34 +17,12 @@ const pool = new Pool({
   port: process.env.POSTGRES_PORT || 5432,
   database: process.env.POSTGRES_DATABASE,
   user: process.env.POSTGRES_USER,
-  password: process.env.POSTGRES_PASSWORD,
+  password: process.env.POSTGRES_AUTH_MODE === 'entra' ? entraPassword() : process.env.POSTGRES_PASSWORD,
   ssl: {
     rejectUnauthorized: false
   }
 });
 
-async function ensureTableExists() {
-  const maxRetries = 30;
-  const retryDelay = 2000; // 2 seconds
-  
-  for (let i = 0; i < maxRetries; i++) {
-    try {
-      await pool.query('SELECT 1 FROM visitors LIMIT 1');
-      console.log('✓ Table "visitors" is ready');
-      return true;
-    } catch (err) {
-      if (err.code === '42P01') { // Table doesn't exist
-        console.log(`Waiting for table "visitors" to be created... (${i + 1}/${maxRetries})`);
-        await new Promise(resolve => setTimeout(resolve, retryDelay));
-      } else {
-        throw err; // Different error, propagate it
-      }
-    }
-  }
-  
-  throw new Error('Timeout waiting for table "visitors" to be created');
-}
-
 async function processVisitors() {
   try {
     const result = await pool.query(`
@@ -61,15 +50,8 @@ async function processVisitors() {
 async function startWorker() {
   console.log('Worker starting...');
   console.log(`Connected to: ${process.env.POSTGRES_HOST}/${process.env.POSTGRES_DATABASE}`);
-  
-  // Wait for table to be ready
-  try {
-    await ensureTableExists();
-  } catch (err) {
-    console.error('Failed to initialize:', err.message);
-    process.exit(1);
-  }
-  
+  // No need to wait for the visitors table: the provider applies db/init before the worker starts
+
   console.log('Worker started - Processing visitor data every 30 seconds');
   
   // Run analytics every 30 seconds
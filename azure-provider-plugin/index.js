@@ -11,11 +11,28 @@
  */
 
 const { Command } = require('commander');
-const { DefaultAzureCredential } = require('@azure/identity');
+const { DefaultAzureCredential, AzureAuthorityHosts } = require('@azure/identity');
 const { PostgreSQLManagementFlexibleServerClient } = require('@azure/arm-postgresql-flexible');
+const { MySQLManagementFlexibleServerClient } = require('@azure/arm-mysql-flexible');
+const { RedisManagementClient } = require('@azure/arm-rediscache');
+const { StorageManagementClient } = require('@azure/arm-storage');
+const { ServiceBusManagementClient } = require('@azure/arm-servicebus');
+const { CosmosDBManagementClient } = require('@azure/arm-cosmosdb');
+const { KeyVaultManagementClient } = require('@azure/arm-keyvault');
+const { NetworkManagementClient } = require('@azure/arm-network');
+const { PrivateDnsManagementClient } = require('@azure/arm-privatedns');
+const { SecretClient } = require('@azure/keyvault-secrets');
 const { ResourceManagementClient } = require('@azure/arm-resources');
+const { Client: PgClient } = require('pg');
+const mysql = require('mysql2/promise');
+const { execFile } = require('child_process');
 const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
 
+const execFileAsync = promisify(execFile);
 const program = new Command();
 
 /**
@@ -47,294 +64,4380 @@ function generatePassword(length = 24) {
 }
 
 /**
- * Azure PostgreSQL Provider
+ * Directory holding the plugin's local state (credentials, ledger)
  */
-class AzurePostgresProvider {
-  constructor(subscriptionId) {
-    this.subscriptionId = subscriptionId;
-    this.credential = new DefaultAzureCredential();
-    this.postgresClient = new PostgreSQLManagementFlexibleServerClient(this.credential, subscriptionId);
-    this.resourceClient = new ResourceManagementClient(this.credential, subscriptionId);
+function stateDir() {
+  return process.env.DOCKER_AZURE_STATE_DIR || path.join(os.homedir(), '.docker-azure');
+}
+
+/**
+ * Local encrypted store for generated admin credentials
+ * Entries are encrypted with AES-256-GCM using a key kept next to the store
+ * (or supplied through DOCKER_AZURE_STATE_KEY), so a reused server gets back
+ * the password it was created with.
+ */
+class CredentialStore {
+  constructor(dir = stateDir()) {
+    this.dir = dir;
+    this.file = path.join(dir, 'credentials.json');
+    this.keyFile = path.join(dir, 'state.key');
   }
 
   /**
-   * Provision a PostgreSQL Flexible Server
+   * Load the encryption key, creating one on first use
    */
-  async provision(options) {
-    const {
-      server_name,
-      database_name = 'defaultdb',
-      resource_group = process.env.AZURE_RESOURCE_GROUP || 'docker-compose-rg',
-      location = process.env.AZURE_LOCATION || 'eastus',
-      sku = 'Standard_B1ms',
-      storage_mb = 32768,
-      backup_retention_days = 7,
-      geo_redundant_backup = false,
-      admin_username = 'dbadmin',
-      version = '14'
-    } = options;
+  key() {
+    if (process.env.DOCKER_AZURE_STATE_KEY) {
+      return crypto.createHash('sha256').update(process.env.DOCKER_AZURE_STATE_KEY).digest();
+    }
+    if (!fs.existsSync(this.keyFile)) {
+      fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+      fs.writeFileSync(this.keyFile, crypto.randomBytes(32).toString('base64'), { mode: 0o600 });
+    }
+    return Buffer.from(fs.readFileSync(this.keyFile, 'utf8'), 'base64');
+  }
 
-    sendMessage('debug', `Provisioning PostgreSQL server: ${server_name}`);
-    
-    // Ensure resource group exists
-    await this.ensureResourceGroup(resource_group, location);
-    
-    // Generate admin password
-    const adminPassword = generatePassword();
-    
-    // Create server parameters
-    const serverParameters = {
-      location: location,
-      sku: {
-        name: sku,
-        tier: sku.startsWith('Standard_B') ? 'Burstable' : 'GeneralPurpose'
-      },
-      storage: {
-        storageSizeGB: Math.ceil(storage_mb / 1024)
-      },
-      backup: {
-        backupRetentionDays: backup_retention_days,
-        geoRedundantBackup: geo_redundant_backup ? 'Enabled' : 'Disabled'
-      },
-      version: version,
-      administratorLogin: admin_username,
-      administratorLoginPassword: adminPassword,
-      highAvailability: {
-        mode: 'Disabled'
-      }
-    };
+  read() {
+    if (!fs.existsSync(this.file)) return {};
+    return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+  }
+
+  write(entries) {
+    fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+    const tmpFile = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(entries, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpFile, this.file);
+  }
+
+  /**
+   * Return the stored { username, password } for a resource, or null
+   */
+  get(id) {
+    const entry = this.read()[id];
+    if (!entry) return null;
 
     try {
-      // Check if server already exists
-      let server;
-      try {
-        server = await this.postgresClient.servers.get(resource_group, server_name);
-        sendMessage('info', `Server ${server_name} already exists, using existing server`);
-      } catch (error) {
-        if (error.statusCode === 404) {
-          // Server doesn't exist, create it
-          sendMessage('info', `Creating PostgreSQL server (this may take 5-10 minutes)...`);
-          const poller = await this.postgresClient.servers.beginCreateAndWait(
-            resource_group,
-            server_name,
-            serverParameters
-          );
-          server = poller;
-          sendMessage('info', `Server created successfully`);
-        } else {
-          throw error;
-        }
-      }
+      const decipher = crypto.createDecipheriv('aes-256-gcm', this.key(), Buffer.from(entry.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(entry.tag, 'base64'));
+      const plaintext = Buffer.concat([decipher.update(Buffer.from(entry.data, 'base64')), decipher.final()]);
+      return JSON.parse(plaintext.toString('utf8'));
+    } catch (error) {
+      sendMessage('debug', `Could not decrypt stored credential for ${id}: ${error.message}`);
+      return null;
+    }
+  }
 
-      // Create firewall rule to allow Azure services
-      sendMessage('debug', `Configuring firewall rules...`);
-      await this.postgresClient.firewallRules.beginCreateOrUpdateAndWait(
-        resource_group,
-        server_name,
-        'AllowAllAzureIps',
-        {
-          startIpAddress: '0.0.0.0',
-          endIpAddress: '0.0.0.0'
-        }
-      );
+  set(id, credential) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.key(), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(credential), 'utf8'), cipher.final()]);
 
-      // Allow all IPs for development (remove in production)
-      await this.postgresClient.firewallRules.beginCreateOrUpdateAndWait(
-        resource_group,
-        server_name,
-        'AllowAll',
-        {
-          startIpAddress: '0.0.0.0',
-          endIpAddress: '255.255.255.255'
-        }
-      );
+    const entries = this.read();
+    entries[id] = {
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64'),
+      updated_at: new Date().toISOString()
+    };
+    this.write(entries);
+  }
 
-      // Create database
-      sendMessage('info', `Creating database: ${database_name}`);
-      try {
-        await this.postgresClient.databases.beginCreateAndWait(
-          resource_group,
-          server_name,
-          database_name,
-          {
-            charset: 'UTF8',
-            collation: 'en_US.utf8'
-          }
-        );
-      } catch (error) {
-        if (error.statusCode !== 409) { // Ignore if database already exists
-          throw error;
-        }
+  delete(id) {
+    const entries = this.read();
+    if (!(id in entries)) return;
+    delete entries[id];
+    this.write(entries);
+  }
+}
+
+/**
+ * Per-project ledger of the Azure resources the plugin created
+ * Keyed by Compose project and service, so `down` can delete exactly what
+ * `up` created even if the compose file changed in between.
+ */
+class StateLedger {
+  constructor(dir = stateDir()) {
+    this.dir = dir;
+    this.file = path.join(dir, 'state.json');
+  }
+
+  read() {
+    if (!fs.existsSync(this.file)) return { projects: {} };
+    return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+  }
+
+  write(state) {
+    fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+    const tmpFile = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(state, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpFile, this.file);
+  }
+
+  /**
+   * Return the ledger entry for a service, or null
+   */
+  get(project, service) {
+    const services = this.read().projects[project] || {};
+    return services[service] || null;
+  }
+
+  /**
+   * Record the options used for a service and append newly created resources
+   * `pending`, when given, replaces the operations `up` stopped waiting for.
+   */
+  record(project, service, resource, options, created, pending) {
+    const state = this.read();
+    const services = state.projects[project] = state.projects[project] || {};
+    const entry = services[service] || { resource, resources: [] };
+
+    entry.resource = resource;
+    entry.options = options;
+    entry.updated_at = new Date().toISOString();
+    for (const item of created) {
+      if (!entry.resources.some(existing => existing.id.toLowerCase() === item.id.toLowerCase())) {
+        entry.resources.push(item);
       }
+    }
+    if (pending && Object.keys(pending).length > 0) {
+      entry.pending = pending;
+    } else if (pending) {
+      delete entry.pending;
+    }
 
-      // Return connection information
-      const host = `${server_name}.postgres.database.azure.com`;
-      const port = 5432;
-      const connectionString = `postgresql://${admin_username}:${adminPassword}@${host}:${port}/${database_name}?sslmode=require`;
+    services[service] = entry;
+    this.write(state);
+  }
 
-      return {
-        HOST: host,
-        PORT: port.toString(),
-        DATABASE: database_name,
-        USER: admin_username,
-        PASSWORD: adminPassword,
-        URL: connectionString,
-        SSL_MODE: 'require'
-      };
-    } catch (error) {
-      sendMessage('error', `Error provisioning PostgreSQL: ${error.message}`);
-      throw error;
+  remove(project, service) {
+    const state = this.read();
+    if (!state.projects[project]) return;
+    delete state.projects[project][service];
+    if (Object.keys(state.projects[project]).length === 0) {
+      delete state.projects[project];
+    }
+    this.write(state);
+  }
+}
+
+/**
+ * Extract the resource group name from an ARM resource ID
+ */
+function resourceGroupFromId(id) {
+  const match = /\/resourceGroups\/([^/]+)/i.exec(id);
+  return match ? match[1] : undefined;
+}
+
+/**
+ * Split ledger resources into what to delete, newest first, and the resource
+ * groups to remove afterwards if empty
+ * Children of a resource that is itself being deleted are `skipped` (unless
+ * Azure refuses to delete the parent while they exist).
+ */
+function deletionOrder(resources) {
+  const isGroup = item => /^Microsoft\.Resources\/resourceGroups$/i.test(item.type);
+  const candidates = resources.filter(item => !isGroup(item)).reverse();
+
+  const items = [];
+  const skipped = [];
+  for (const item of candidates) {
+    const id = item.id.toLowerCase();
+    const deletedWithParent = !DELETE_BEFORE_PARENT.includes(item.type.toLowerCase()) &&
+      candidates.some(other => id.startsWith(`${other.id.toLowerCase()}/`));
+    (deletedWithParent ? skipped : items).push(item);
+  }
+
+  return { items, skipped, groups: resources.filter(isGroup) };
+}
+
+/**
+ * Azure clouds: login authority, ARM endpoint, the audience of Microsoft
+ * Entra tokens for database servers, and the DNS suffixes used for
+ * hostnames Azure didn't report itself
+ */
+const AZURE_CLOUDS = {
+  AzureCloud: {
+    authorityHost: AzureAuthorityHosts.AzurePublicCloud,
+    resourceManager: 'https://management.azure.com',
+    databaseTokenAudience: 'https://ossrdbms-aad.database.windows.net',
+    suffixes: {
+      postgres: 'postgres.database.azure.com',
+      mysql: 'mysql.database.azure.com',
+      redis: 'redis.cache.windows.net',
+      storage: 'core.windows.net',
+      servicebus: 'servicebus.windows.net',
+      cosmos: 'documents.azure.com'
+    }
+  },
+  AzureUSGovernment: {
+    authorityHost: AzureAuthorityHosts.AzureGovernment,
+    resourceManager: 'https://management.usgovcloudapi.net',
+    databaseTokenAudience: 'https://ossrdbms-aad.database.usgovcloudapi.net',
+    suffixes: {
+      postgres: 'postgres.database.usgovcloudapi.net',
+      mysql: 'mysql.database.usgovcloudapi.net',
+      redis: 'redis.cache.usgovcloudapi.net',
+      storage: 'core.usgovcloudapi.net',
+      servicebus: 'servicebus.usgovcloudapi.net',
+      cosmos: 'documents.azure.us'
+    }
+  },
+  AzureChinaCloud: {
+    authorityHost: AzureAuthorityHosts.AzureChina,
+    resourceManager: 'https://management.chinacloudapi.cn',
+    databaseTokenAudience: 'https://ossrdbms-aad.database.chinacloudapi.cn',
+    suffixes: {
+      postgres: 'postgres.database.chinacloudapi.cn',
+      mysql: 'mysql.database.chinacloudapi.cn',
+      redis: 'redis.cache.chinacloudapi.cn',
+      storage: 'core.chinacloudapi.cn',
+      servicebus: 'servicebus.chinacloudapi.cn',
+      cosmos: 'documents.azure.cn'
+    }
+  }
+};
+
+/**
+ * Look up a cloud by name, falling back to $AZURE_CLOUD and then the public cloud
+ */
+function resolveCloud(name = process.env.AZURE_CLOUD || 'AzureCloud') {
+  if (!AZURE_CLOUDS[name]) {
+    throw new Error(`Invalid cloud: ${name} (expected ${Object.keys(AZURE_CLOUDS).join(', ')})`);
+  }
+  return { name, ...AZURE_CLOUDS[name] };
+}
+
+/**
+ * Pipeline policy reporting the throttling (429) and server (5xx) responses
+ * the Azure SDK retry policy is about to retry
+ */
+const transientErrorPolicy = {
+  name: 'dockerAzureTransientErrors',
+  async sendRequest(request, next) {
+    const response = await next(request);
+    if (response.status === 429 || response.status >= 500) {
+      sendMessage('debug', `Azure returned ${response.status} for ${request.method} ${new URL(request.url).pathname}`);
     }
+    return response;
   }
+};
 
+/**
+ * Options for ARM clients in `cloud`, honouring AZURE_RESOURCE_MANAGER_ENDPOINT
+ * With a custom endpoint (e.g. a local fake ARM server) tokens are still
+ * requested for the cloud's ARM audience. Throttled and failed requests are
+ * retried with exponential backoff (honouring Retry-After) before giving up.
+ */
+function armClientOptions(cloud = resolveCloud(), endpoint = process.env.AZURE_RESOURCE_MANAGER_ENDPOINT) {
+  return {
+    endpoint: endpoint || cloud.resourceManager,
+    credentialScopes: [`${cloud.resourceManager}/.default`],
+    retryOptions: { maxRetries: 5, retryDelayInMs: 2000, maxRetryDelayInMs: 60 * 1000 },
+    additionalPolicies: [{ policy: transientErrorPolicy, position: 'perRetry' }]
+  };
+}
+
+/**
+ * Base class for Azure resource providers
+ * Subclasses declare `displayName`, `resourceType` and `nameRule` (the
+ * server_name rule, with its maxLength and whether it allows hyphens); SQL
+ * providers add `connectionEngine` and, beyond password sign-in, `authModes`.
+ */
+class AzureProvider {
   /**
-   * Ensure resource group exists
+   * `context` has the Compose `project` and `service`, the `cloud` name (see
+   * AZURE_CLOUDS) and the `pending` operations of an earlier run (see waitFor).
+   * `dependencies` replaces what the provider would otherwise create itself:
+   * - credential: TokenCredential (default: DefaultAzureCredential)
+   * - clients: ready-made ARM clients by property name, e.g. { postgresClient }
+   * - clientOptions: extra options for the clients it creates, e.g. { httpClient }
+   * - credentialStore: CredentialStore for generated passwords
+   * - sql: async (connection, statements) => rows, runs SQL on a database
+   *   server (default: the pg or mysql2 driver; see the providers' runSql)
    */
-  async ensureResourceGroup(resourceGroup, location) {
+  constructor(subscriptionId, context = {}, dependencies = {}) {
+    const { credential, clients = {}, clientOptions = {}, credentialStore } = dependencies;
+    this.subscriptionId = subscriptionId;
+    this.context = context;
+    this.dependencies = dependencies;
+    this.cloud = resolveCloud(context.cloud);
+    this.credential = credential || new DefaultAzureCredential({
+      authorityHost: process.env.AZURE_AUTHORITY_HOST || this.cloud.authorityHost
+    });
+    this.clients = clients;
+    this.clientOptions = { ...armClientOptions(this.cloud), ...clientOptions };
+    this.resourceClient = this.createClient('resourceClient', ResourceManagementClient);
+    this.credentialStore = credentialStore || new CredentialStore();
+    this.created = [];
+    this.pendingOperations = { ...context.pending };
+    this.abortController = new AbortController();
+  }
+
+  /**
+   * Deterministic server_name for a Compose service, used when none is given
+   * The hash covers the subscription too, so a project and service get the
+   * same name on every run but teammates' subscriptions do not collide.
+   */
+  static generateName(subscriptionId, project, service) {
+    const { maxLength, hyphens = true } = this.nameRule;
+    const separator = hyphens ? '-' : '';
+    const hash = crypto.createHash('sha256')
+      .update(`${subscriptionId}/${project}/${service}`)
+      .digest('hex')
+      .slice(0, 8);
+
+    let stem = `${project}-${service}`.toLowerCase()
+      .replace(/[^a-z0-9]+/g, separator)
+      .replace(/^-+|-+$/g, '');
+    // Some rules (e.g. Service Bus) require a leading letter
+    if (!/^[a-z]/.test(stem)) stem = `dc${stem}`;
+    stem = stem.slice(0, maxLength - hash.length - separator.length).replace(/-+$/, '');
+    return `${stem}${separator}${hash}`;
+  }
+
+  /**
+   * Stop waiting for long-running operations, e.g. on Ctrl-C or timeout
+   */
+  cancel(reason) {
+    this.cancelReason = reason;
+    this.abortController.abort();
+  }
+
+  /**
+   * Run a long-running ARM operation and wait for it, reporting its status
+   * every $DOCKER_AZURE_PROGRESS_SECONDS (default 30)
+   * `begin(pollerOptions)` starts the operation. With a `key`, a wait that is
+   * cancelled leaves the poller state in pendingOperations, and the next run
+   * resumes polling that operation instead of starting it again.
+   */
+  async waitFor(description, begin, key) {
+    if (this.abortController.signal.aborted) {
+      throw new Error(`Not starting ${description}: ${this.cancelReason}`);
+    }
+
+    const pending = key && this.pendingOperations[key];
+    const startedAt = pending ? Date.parse(pending.started_at) : Date.now();
+    if (pending) {
+      sendMessage('info', `Resuming ${description}, started ${pending.started_at}`);
+    }
+    const poller = await begin(pending ? { resumeFrom: pending.state } : {});
+
+    const intervalMs = (parseInt(process.env.DOCKER_AZURE_PROGRESS_SECONDS) || 30) * 1000;
+    const progress = setInterval(() => {
+      const { status } = poller.getOperationState();
+      sendMessage('info', `${description}: ${status} (${formatElapsed(Date.now() - startedAt)} elapsed)`);
+    }, intervalMs);
+
     try {
-      await this.resourceClient.resourceGroups.get(resourceGroup);
-      sendMessage('debug', `Using existing resource group: ${resourceGroup}`);
+      const result = await poller.pollUntilDone({ abortSignal: this.abortController.signal });
+      if (key) delete this.pendingOperations[key];
+      return result;
     } catch (error) {
-      if (error.statusCode === 404) {
-        sendMessage('info', `Creating resource group: ${resourceGroup}`);
-        await this.resourceClient.resourceGroups.createOrUpdate(resourceGroup, {
-          location: location,
-          tags: {
-            managed_by: 'docker-compose',
-            created_at: new Date().toISOString()
-          }
-        });
-      } else {
+      if (!this.abortController.signal.aborted) {
+        if (key) delete this.pendingOperations[key];
         throw error;
       }
+      if (!key) {
+        throw new Error(`Stopped waiting for ${description}: ${this.cancelReason}. The operation continues in Azure`);
+      }
+      this.pendingOperations[key] = {
+        description: description,
+        state: poller.toString(),
+        started_at: new Date(startedAt).toISOString()
+      };
+      throw new Error(
+        `Stopped waiting for ${description}: ${this.cancelReason}. ` +
+        `The operation continues in Azure; run up again to resume waiting for it`
+      );
+    } finally {
+      clearInterval(progress);
     }
   }
 
   /**
-   * Deprovision (cleanup) resources
+   * ARM ID of a resource of this provider's type
    */
-  async deprovision(options) {
-    const {
-      server_name,
-      resource_group = process.env.AZURE_RESOURCE_GROUP || 'docker-compose-rg'
-    } = options;
+  resourceId(resourceGroup, name) {
+    return `/subscriptions/${this.subscriptionId}/resourceGroups/${resourceGroup}/providers/${this.constructor.resourceType}/${name}`;
+  }
 
-    sendMessage('info', `Deprovisioning PostgreSQL server: ${server_name}`);
-    
+  /**
+   * Whether an earlier run stopped waiting for the create of `name`
+   */
+  isPendingCreate(resourceGroup, name) {
+    return Boolean(this.pendingOperations[this.resourceId(resourceGroup, name).toLowerCase()]);
+  }
+
+  /**
+   * Fetch an existing resource with `get`
+   * A resource whose create an earlier run stopped waiting for is reported
+   * as missing (404), so the create branch resumes that operation.
+   */
+  async getExisting(resourceGroup, name, get) {
+    if (this.isPendingCreate(resourceGroup, name)) {
+      throw Object.assign(new Error(`${name} is still being created`), { statusCode: 404 });
+    }
+    return get();
+  }
+
+  /**
+   * Checks for a new resource that Azure would otherwise only fail minutes
+   * into provisioning; subclasses throw when one fails
+   * `settings` holds the resolved options, e.g. server_name, location and sku.
+   */
+  async preflight(settings) {}
+
+  /**
+   * Run `preflight` if the resource doesn't exist yet
+   * Existing resources, and creates an earlier run stopped waiting for, are
+   * not checked: their name is taken by themselves.
+   */
+  async preflightIfNew(resourceGroup, settings, get) {
+    if (this.isPendingCreate(resourceGroup, settings.server_name)) {
+      return;
+    }
     try {
-      await this.postgresClient.servers.beginDeleteAndWait(resource_group, server_name);
-      sendMessage('info', `Server deleted successfully`);
+      await get();
+      return;
     } catch (error) {
-      sendMessage('error', `Error deprovisioning: ${error.message}`);
+      if (error.statusCode !== 404) throw error;
+    }
+    sendMessage('debug', `Running pre-flight checks for ${settings.server_name}`);
+    await this.preflight(settings);
+  }
+
+  /**
+   * Create a resource of this provider's type through waitFor and record it
+   * A cancelled create is recorded as well: Azure goes on creating the
+   * resource, and `down` must be able to delete it.
+   */
+  async createAndWait(resourceGroup, name, description, begin, apiVersion) {
+    const id = this.resourceId(resourceGroup, name);
+    try {
+      const resource = await this.waitFor(description, begin, id.toLowerCase());
+      this.record(resource, apiVersion);
+      return resource;
+    } catch (error) {
+      if (this.pendingOperations[id.toLowerCase()]) {
+        this.record({ type: this.constructor.resourceType, id: id, name: name }, apiVersion);
+      }
       throw error;
     }
   }
-}
 
+  /**
+   * Return the injected client `name`, or create a `Client` for the configured endpoint
+   */
+  createClient(name, Client) {
+    return this.clients[name] || new Client(this.credential, this.subscriptionId, this.clientOptions);
+  }
+
+  /**
+   * Remember a resource created during this run for the state ledger
+   */
+  record(resource, apiVersion) {
+    this.created.push({
+      type: resource.type,
+      id: resource.id,
+      name: resource.name,
+      resource_group: resourceGroupFromId(resource.id),
+      api_version: apiVersion,
+      created_at: new Date().toISOString()
+    });
+  }
 
+  /**
+   * Create or update a child resource, recording it only if it is new
+   */
+  async upsert(get, createOrUpdate, apiVersion) {
+    let existed = true;
+    try {
+      await get();
+    } catch (error) {
+      if (error.statusCode !== 404) throw error;
+      existed = false;
+    }
 
-/**
- * Send JSON message to Docker Compose
- */
-function sendMessage(type, message) {
-  console.log(JSON.stringify({ type, message }));
-}
+    const resource = await createOrUpdate();
+    if (!existed) this.record(resource, apiVersion);
+    return resource;
+  }
 
-/**
- * Handle compose up command
- */
-async function handleUp(serviceName, options) {
-  try {
-    sendMessage('debug', `Starting provisioning for service: ${serviceName}`);
-    
+  /**
+   * Make the plugin-managed firewall rules of a flexible server match `desired`
+   * Rules named with FIREWALL_RULE_PREFIX (or created by older versions of the
+   * plugin) are ours: stale ones are removed, missing ones added. Rules
+   * created by anyone else are left untouched.
+   */
+  async reconcileFirewallRules(client, resourceGroup, serverName, desired) {
+    const existing = {};
+    for await (const rule of client.firewallRules.listByServer(resourceGroup, serverName)) {
+      existing[rule.name] = rule;
+    }
+
+    for (const [name, rule] of Object.entries(existing)) {
+      const isManaged = name.startsWith(FIREWALL_RULE_PREFIX) || LEGACY_FIREWALL_RULES.includes(name);
+      if (isManaged && !desired[name]) {
+        sendMessage('info', `Removing firewall rule ${name} (${rule.startIpAddress}-${rule.endIpAddress})`);
+        await client.firewallRules.beginDeleteAndWait(resourceGroup, serverName, name);
+      }
+    }
+
+    for (const [name, range] of Object.entries(desired)) {
+      const current = existing[name];
+      if (current && current.startIpAddress === range.startIpAddress && current.endIpAddress === range.endIpAddress) {
+        continue;
+      }
+
+      sendMessage('info', `Allowing ${range.startIpAddress}-${range.endIpAddress} (firewall rule ${name})`);
+      const rule = await client.firewallRules.beginCreateOrUpdateAndWait(resourceGroup, serverName, name, range);
+      if (!current) this.record(rule, client.apiVersion);
+    }
+
+    if (Object.keys(desired).length === 0) {
+      sendMessage('info', `No firewall rules configured for ${serverName}; it will not accept connections from outside Azure`);
+    }
+  }
+
+  /**
+   * Delete the resources recorded in the state ledger, newest first
+   * A resource group is only removed once it is empty.
+   */
+  async deleteRecorded(resources) {
+    const { items, groups } = deletionOrder(resources);
+
+    for (const item of items) {
+      sendMessage('info', `Deleting ${item.type} ${item.name}`);
+      try {
+        await this.resourceClient.resources.beginDeleteByIdAndWait(item.id, item.api_version);
+      } catch (error) {
+        if (error.statusCode !== 404) throw error;
+      }
+    }
+
+    for (const group of groups) {
+      const remaining = [];
+      for await (const item of this.resourceClient.resources.listByResourceGroup(group.name)) {
+        remaining.push(item);
+      }
+      if (remaining.length > 0) {
+        sendMessage('info', `Keeping resource group ${group.name}: it still contains ${remaining.length} resource(s)`);
+        continue;
+      }
+
+      sendMessage('info', `Deleting resource group ${group.name}`);
+      await this.resourceClient.resourceGroups.beginDeleteAndWait(group.name);
+    }
+  }
+
+  /**
+   * Plan step for the application role `provision` creates or updates
+   * Whether the role exists is only known from its stored credential.
+   */
+  appRoleStep(credentialId, options) {
+    const role = appRoleName(options);
+    const stored = this.credentialStore.get(`${credentialId}/roles/${role}`);
+    const database = options.database_name || 'defaultdb';
+    if (!stored) return { action: 'create', type: 'application role', name: role, detail: `on ${database}` };
+    return options.rotate_credentials
+      ? { action: 'change', type: 'application role', name: role, detail: `on ${database}, new password` }
+      : { action: 'reuse', type: 'application role', name: role, detail: `on ${database}` };
+  }
+
+  /**
+   * Drop the application role of a SQL server that `down` keeps
+   * A server the ledger recorded is deleted with its roles, so SQL is only
+   * needed when the server existed before `up`. `getServer` fetches it.
+   */
+  async dropAppRole(engine, options, entry, credentialId, port, getServer) {
+    const roleCredentialId = `${credentialId}/roles/${appRoleName(options)}`;
+    const role = this.credentialStore.get(roleCredentialId);
+    const keepsServer = entry && !entry.resources.some(item => /\/flexibleServers$/i.test(item.type));
+
+    if (role && keepsServer) {
+      const admin = this.credentialStore.get(credentialId);
+      if (!admin) {
+        throw new Error(`Cannot drop application role ${role.username}: no administrator password is stored for this server`);
+      }
+      const server = await getServer();
+      sendMessage('info', `Dropping application role ${role.username}`);
+      await this.runSql({
+        host: server.fullyQualifiedDomainName,
+        port,
+        user: admin.username,
+        password: admin.password,
+        database: options.database_name || 'defaultdb'
+      }, APP_ROLE_SQL[engine].drop(role.username));
+    }
+    this.credentialStore.delete(roleCredentialId);
+  }
+
+  /**
+   * Tags applied to every resource the plugin creates
+   * `status` and `list` find resources through these tags
+   */
+  tags() {
+    return {
+      managed_by: 'docker-compose',
+      compose_project: this.context.project,
+      compose_service: this.context.service,
+      created_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Summarise a managed resource for `status` and `list`
+   * `resource` is the generic resource returned by the resources API
+   */
+  async describe(resource) {
+    return {
+      state: resource.provisioningState === 'Succeeded' ? 'Ready' : resource.provisioningState || '-',
+      sku: resource.sku && resource.sku.name ? resource.sku.name : '-',
+      storage: '-',
+      version: '-'
+    };
+  }
+
+  /**
+   * Key under which a resource's admin credential is stored
+   */
+  credentialId(resource, resourceGroup, name) {
+    return `${resource}/${this.subscriptionId}/${resourceGroup}/${name}`.toLowerCase();
+  }
+
+  /**
+   * Ensure resource group exists
+   */
+  async ensureResourceGroup(resourceGroup, location) {
+    try {
+      await this.resourceClient.resourceGroups.get(resourceGroup);
+      sendMessage('debug', `Using existing resource group: ${resourceGroup}`);
+    } catch (error) {
+      if (error.statusCode === 404) {
+        sendMessage('info', `Creating resource group: ${resourceGroup}`);
+        const group = await this.resourceClient.resourceGroups.createOrUpdate(resourceGroup, {
+          location: location,
+          tags: {
+            managed_by: 'docker-compose',
+            created_at: new Date().toISOString()
+          }
+        });
+        this.record(group, this.resourceClient.apiVersion);
+      } else {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Plan step for a resource that is created if missing and reused otherwise
+   * Reused steps carry the live resource as `current`.
+   */
+  async planExisting(type, name, get) {
+    try {
+      return { action: 'reuse', type, name, current: await get() };
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return { action: 'create', type, name };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Describe what `provision` would do without changing anything
+   * Returns a list of { action, type, name, detail, changes } steps. This
+   * generic plan covers the resource group and the primary resource only.
+   */
+  async plan(options) {
+    const {
+      server_name,
+      resource_group = process.env.AZURE_RESOURCE_GROUP || 'docker-compose-rg',
+      location = process.env.AZURE_LOCATION || 'eastus'
+    } = options;
+    const { displayName, resourceType } = this.constructor;
+
+    const group = await this.planExisting('resource group', resource_group,
+      () => this.resourceClient.resourceGroups.get(resource_group));
+    let exists = false;
+    if (group.action === 'reuse') {
+      const filter = `resourceType eq '${resourceType}' and name eq '${server_name}'`;
+      for await (const item of this.resourceClient.resources.listByResourceGroup(resource_group, { filter })) {
+        exists = exists || item.name.toLowerCase() === server_name.toLowerCase();
+      }
+    }
+
+    if (!exists) {
+      await this.preflight({ ...options, server_name, location });
+    }
+    return [group, { action: exists ? 'reuse' : 'create', type: displayName, name: server_name }];
+  }
+
+  /**
+   * Compare an existing PostgreSQL or MySQL flexible server with the options
+   * the user set explicitly
+   * Returns the `changes` ({ field, current, requested, refused }) and the
+   * server `update` applying the allowed ones, or null if there are none.
+   */
+  flexibleServerDrift(server, options, { skuTier, versionUpgrades }) {
+    const changes = [];
+    const update = {};
+    const change = (field, current, requested, refused) => {
+      changes.push(refused ? { field, current, requested, refused } : { field, current, requested });
+    };
+
+    if (options.sku !== undefined && options.sku.toLowerCase() !== server.sku.name.toLowerCase()) {
+      change('sku', server.sku.name, options.sku);
+      update.sku = { name: options.sku, tier: skuTier(options.sku) };
+    }
+
+    if (options.storage_mb !== undefined) {
+      const current = server.storage.storageSizeGB;
+      const requested = Math.ceil(options.storage_mb / 1024);
+      if (requested < current) {
+        change('storage_gb', current, requested, 'storage cannot be shrunk');
+      } else if (requested > current) {
+        change('storage_gb', current, requested);
+        update.storage = { storageSizeGB: requested };
+      }
+    }
+
+    const backup = server.backup || {};
+    if (options.backup_retention_days !== undefined && options.backup_retention_days !== backup.backupRetentionDays) {
+      change('backup_retention_days', backup.backupRetentionDays, options.backup_retention_days);
+      update.backup = { backupRetentionDays: options.backup_retention_days };
+    }
+
+    const geoRedundant = backup.geoRedundantBackup === 'Enabled';
+    if (options.geo_redundant_backup !== undefined && options.geo_redundant_backup !== geoRedundant) {
+      change('geo_redundant_backup', geoRedundant, options.geo_redundant_backup, 'it can only be set when the server is created');
+    }
+
+    // Compare major versions: "14" vs "16", "5.7" vs "8.0.21"
+    if (options.version !== undefined) {
+      const current = parseFloat(server.version);
+      const requested = parseFloat(options.version);
+      if (requested < current) {
+        change('version', server.version, options.version, 'major versions cannot be downgraded');
+      } else if (requested > current && !versionUpgrades) {
+        change('version', server.version, options.version, 'major version upgrades are not supported in place');
+      } else if (requested > current) {
+        change('version', server.version, options.version);
+        update.version = String(options.version);
+      }
+    }
+
+    // created_at describes the server, not the request
+    const { created_at, ...tags } = this.tags();
+    const liveTags = server.tags || {};
+    const staleTags = Object.keys(tags).filter(key => tags[key] !== undefined && liveTags[key] !== tags[key]);
+    if (staleTags.length > 0) {
+      change('tags',
+        staleTags.map(key => `${key}=${liveTags[key] || '-'}`).join(','),
+        staleTags.map(key => `${key}=${tags[key]}`).join(','));
+      update.tags = { ...liveTags, ...tags };
+    }
+
+    return { changes, update: Object.keys(update).length > 0 ? update : null };
+  }
+
+  /**
+   * Bring an existing flexible server in line with the requested options
+   * Changes Azure cannot make in place are refused before anything is updated.
+   */
+  async reconcileFlexibleServer(client, resourceGroup, server, options) {
+    const { changes, update } = this.drift(server, options);
+
+    const refused = changes.filter(change => change.refused);
+    if (refused.length > 0) {
+      const reasons = refused.map(change => `${formatChange(change)} (${change.refused})`).join('; ');
+      throw new Error(`Cannot change ${server.name} in place: ${reasons}`);
+    }
+    if (!update) {
+      return server;
+    }
+
+    sendMessage('info', `Updating ${server.name}: ${changes.map(formatChange).join(', ')}`);
+    return this.waitFor(`Updating ${server.name}`,
+      pollerOptions => client.servers.beginUpdate(resourceGroup, server.name, update, pollerOptions));
+  }
+
+  /**
+   * Plan a PostgreSQL or MySQL flexible server: resource group, server,
+   * firewall rules and database
+   * `requested` describes a new server; an existing one is diffed against
+   * `options` as `up` would. `desiredRules` of null skips the firewall
+   * (private access).
+   */
+  async planFlexibleServer(client, options, requested, desiredRules) {
+    const { server_name, database_name, resource_group, credentialId } = options;
+
+    const steps = [await this.planExisting('resource group', resource_group,
+      () => this.resourceClient.resourceGroups.get(resource_group))];
+    const server = await this.planExisting(this.constructor.displayName, server_name,
+      () => client.servers.get(resource_group, server_name));
+    steps.push(server);
+
+    if (server.action === 'create') {
+      await this.preflight({ server_name, ...requested });
+      server.detail = `${requested.sku}, ${requested.storage_gb} GB, version ${requested.version}`;
+      for (const [name, range] of Object.entries(desiredRules || {})) {
+        steps.push({ action: 'create', type: 'firewall rule', name, detail: `${range.startIpAddress}-${range.endIpAddress}` });
+      }
+      steps.push({ action: 'create', type: 'database', name: database_name });
+      return steps;
+    }
+
+    const live = server.current;
+    server.changes = this.drift(live, options).changes;
+    if (server.changes.some(change => !change.refused)) {
+      server.action = 'change';
+    }
+
+    const stored = this.credentialStore.get(credentialId);
+    if (options.auth_mode !== 'entra' && (!stored || stored.username !== live.administratorLogin)) {
+      steps.push({ action: 'change', type: 'administrator password', name: live.administratorLogin, detail: 'no stored credential' });
+    }
+
+    if (desiredRules) {
+      const existing = {};
+      for await (const rule of client.firewallRules.listByServer(resource_group, server_name)) {
+        existing[rule.name] = rule;
+      }
+      for (const [name, rule] of Object.entries(existing)) {
+        const isManaged = name.startsWith(FIREWALL_RULE_PREFIX) || LEGACY_FIREWALL_RULES.includes(name);
+        if (isManaged && !desiredRules[name]) {
+          steps.push({ action: 'delete', type: 'firewall rule', name, detail: `${rule.startIpAddress}-${rule.endIpAddress}` });
+        }
+      }
+      for (const [name, range] of Object.entries(desiredRules)) {
+        const rule = existing[name];
+        const detail = `${range.startIpAddress}-${range.endIpAddress}`;
+        if (!rule) {
+          steps.push({ action: 'create', type: 'firewall rule', name, detail });
+        } else if (rule.startIpAddress !== range.startIpAddress || rule.endIpAddress !== range.endIpAddress) {
+          steps.push({ action: 'change', type: 'firewall rule', name, detail: `${rule.startIpAddress}-${rule.endIpAddress} -> ${detail}` });
+        } else {
+          steps.push({ action: 'reuse', type: 'firewall rule', name, detail });
+        }
+      }
+    }
+
+    steps.push(await this.planExisting('database', database_name,
+      () => client.databases.get(resource_group, server_name, database_name)));
+    return steps;
+  }
+
+  /**
+   * Parameters of a new flexible server, without the administrator login
+   */
+  flexibleServerParameters({ location, sku, storage_mb, backup_retention_days, geo_redundant_backup, version }, skuTier) {
+    return {
+      location: location,
+      sku: {
+        name: sku,
+        tier: skuTier(sku)
+      },
+      storage: {
+        storageSizeGB: Math.ceil(storage_mb / 1024)
+      },
+      backup: {
+        backupRetentionDays: backup_retention_days,
+        geoRedundantBackup: geo_redundant_backup ? 'Enabled' : 'Disabled'
+      },
+      version: version,
+      highAvailability: {
+        mode: 'Disabled'
+      },
+      tags: this.tags()
+    };
+  }
+
+  /**
+   * Create a PostgreSQL or MySQL flexible server, or bring an existing one in
+   * line with `options`, then reconcile its firewall and create its database
+   * A new server's administrator password is stored under `credentialId`
+   * before the create starts, so a resumed create reuses it; an existing
+   * server without a stored password gets a new one. `settings` holds the
+   * engine's `serverParameters` without the login, `desiredRules` (null skips
+   * the firewall), `createDatabase`, `usesPassword`, and the optional hooks
+   * `checkExisting(server)`, run before reconciling, and `configure()`, run
+   * before the database is created. Returns the server's host and the
+   * administrator login.
+   */
+  async ensureFlexibleServer(client, options, settings) {
+    const { server_name, admin_username = 'dbadmin' } = options;
+    const { resourceGroup, databaseName, credentialId, serverParameters, desiredRules, usesPassword = true } = settings;
+    const { displayName, connectionEngine } = this.constructor;
+
+    // Generate admin password (only applied when the server is created)
+    let adminUsername = admin_username;
+    let adminPassword = usesPassword ? generatePassword() : undefined;
+
+    let server;
+    try {
+      server = await this.getExisting(resourceGroup, server_name,
+        () => client.servers.get(resourceGroup, server_name));
+      sendMessage('info', `Server ${server_name} already exists, using existing server`);
+      if (settings.checkExisting) {
+        settings.checkExisting(server);
+      }
+
+      // Apply changed settings, refusing those Azure cannot make in place
+      server = await this.reconcileFlexibleServer(client, resourceGroup, server, options);
+
+      // Reuse the credential the server was created with
+      adminUsername = server.administratorLogin || admin_username;
+      const stored = this.credentialStore.get(credentialId);
+      if (!usesPassword) {
+        adminPassword = undefined;
+      } else if (stored && stored.username === adminUsername) {
+        adminPassword = stored.password;
+      } else {
+        sendMessage('info', `No stored credential for ${server_name}, resetting administrator password`);
+        await this.waitFor(`Resetting the administrator password of ${server_name}`,
+          pollerOptions => client.servers.beginUpdate(resourceGroup, server_name, {
+            administratorLoginPassword: adminPassword
+          }, pollerOptions));
+        this.credentialStore.set(credentialId, { username: adminUsername, password: adminPassword });
+      }
+    } catch (error) {
+      if (error.statusCode !== 404) {
+        throw error;
+      }
+      // Store the credential first so an interrupted create can still be reused;
+      // a resumed create finishes with the password the first run sent
+      const stored = this.credentialStore.get(credentialId);
+      if (usesPassword && stored && this.isPendingCreate(resourceGroup, server_name)) {
+        adminUsername = stored.username;
+        adminPassword = stored.password;
+      } else if (usesPassword) {
+        this.credentialStore.set(credentialId, { username: adminUsername, password: adminPassword });
+      }
+      const parameters = usesPassword
+        ? { ...serverParameters, administratorLogin: adminUsername, administratorLoginPassword: adminPassword }
+        : serverParameters;
+      sendMessage('info', `Creating ${displayName} (this may take 5-10 minutes)...`);
+      server = await this.createAndWait(resourceGroup, server_name, `Creating ${displayName} ${server_name}`,
+        pollerOptions => client.servers.beginCreate(resourceGroup, server_name, parameters, pollerOptions),
+        client.apiVersion);
+      sendMessage('info', `Server created successfully`);
+    }
+
+    // Reconcile firewall rules with the requested network access
+    if (desiredRules) {
+      sendMessage('debug', `Configuring firewall rules...`);
+      await this.reconcileFirewallRules(client, resourceGroup, server_name, desiredRules);
+    }
+
+    if (settings.configure) {
+      await settings.configure();
+    }
+
+    sendMessage('info', `Creating database: ${databaseName}`);
+    try {
+      await this.upsert(
+        () => client.databases.get(resourceGroup, server_name, databaseName),
+        settings.createDatabase,
+        client.apiVersion
+      );
+    } catch (error) {
+      if (error.statusCode !== 409) { // Ignore if database already exists
+        throw error;
+      }
+    }
+
+    // For private servers the FQDN resolves to the private IP inside linked VNets
+    return {
+      host: server.fullyQualifiedDomainName || `${server_name}.${this.cloud.suffixes[connectionEngine]}`,
+      admin: { username: adminUsername, password: adminPassword }
+    };
+  }
+
+  /**
+   * Connection info handing out the application role, created or updated
+   * over the administrator's `connection`; without one (private servers)
+   * only the administrator login is available
+   */
+  async appRoleConnectionInfo(connection, endpoint, admin, credentialId, options) {
+    const engine = this.constructor.connectionEngine;
+    const appRole = connection ? await ensureAppRole(this, engine, connection, credentialId, options) : null;
+    return sqlConnectionInfo(engine, { ...endpoint, admin, appRole }, options);
+  }
+
+  /**
+   * Describe what `deprovision` would delete without changing anything
+   */
+  planDeprovision(options, entry) {
+    if (!entry) {
+      const { server_name, resource_group = process.env.AZURE_RESOURCE_GROUP || 'docker-compose-rg' } = options;
+      return [{ action: 'delete', type: this.constructor.displayName, name: server_name, detail: `resource group ${resource_group}` }];
+    }
+
+    const { items, skipped, groups } = deletionOrder(entry.resources);
+    return [
+      ...items.map(item => ({ action: 'delete', type: item.type, name: item.name })),
+      ...skipped.map(item => ({ action: 'delete', type: item.type, name: item.name, detail: 'with its parent' })),
+      ...groups.map(group => ({ action: 'delete', type: 'resource group', name: group.name, detail: 'if empty' }))
+    ];
+  }
+}
+
+/**
+ * Azure PostgreSQL Provider
+ */
+class AzurePostgresProvider extends AzureProvider {
+  static displayName = 'PostgreSQL server';
+  static connectionEngine = 'postgres';
+  static authModes = ['password', 'entra', 'both'];
+  static resourceType = 'Microsoft.DBforPostgreSQL/flexibleServers';
+  static nameRule = {
+    pattern: /^[a-z0-9][a-z0-9-]{1,61}[a-z0-9]$/,
+    description: '3-63 lowercase letters, digits and hyphens, not starting or ending with a hyphen',
+    maxLength: 63
+  };
+
+  constructor(subscriptionId, context, dependencies) {
+    super(subscriptionId, context, dependencies);
+    this.postgresClient = this.createClient('postgresClient', PostgreSQLManagementFlexibleServerClient);
+    this.networkClient = this.createClient('networkClient', NetworkManagementClient);
+    this.privateDnsClient = this.createClient('privateDnsClient', PrivateDnsManagementClient);
+  }
+
+  async describe(resource) {
+    const server = await this.postgresClient.servers.get(resourceGroupFromId(resource.id), resource.name);
+    return {
+      state: server.state,
+      sku: server.sku.name,
+      storage: `${server.storage.storageSizeGB} GB`,
+      version: server.version
+    };
+  }
+
+  /**
+   * Settings of an existing server that differ from the requested options
+   */
+  drift(server, options) {
+    const drift = this.flexibleServerDrift(server, options, { skuTier: postgresSkuTier, versionUpgrades: true });
+    const current = postgresAuthMode(server.authConfig);
+    if (options.auth_mode !== undefined && options.auth_mode !== current) {
+      drift.changes.push({ field: 'auth_mode', current, requested: options.auth_mode });
+      drift.update = { ...drift.update, authConfig: postgresAuthConfig(options.auth_mode, server.authConfig && server.authConfig.tenantId) };
+    }
+    return drift;
+  }
+
+  /**
+   * Microsoft Entra administrator for `auth_mode` entra or both
+   * `entra_admin` names a user, group or managed identity by object ID; by
+   * default the principal the plugin signed in as, read from its ARM token.
+   * `signedIn` tells whether the plugin itself can sign in as the admin.
+   */
+  async entraAdmin(options) {
+    const { token } = await this.credential.getToken(`${this.cloud.resourceManager}/.default`);
+    const claims = tokenClaims(token);
+
+    if (options.entra_admin) {
+      if (!options.entra_admin_name) {
+        throw new Error('entra_admin_name is required with entra_admin: Azure registers the administrator under its name');
+      }
+      return {
+        objectId: options.entra_admin,
+        principalName: options.entra_admin_name,
+        principalType: options.entra_admin_type || 'ServicePrincipal',
+        tenantId: claims.tid,
+        signedIn: options.entra_admin.toLowerCase() === String(claims.oid).toLowerCase()
+      };
+    }
+
+    // Delegated (user) tokens carry scopes; app-only tokens don't
+    const isUser = Boolean(claims.scp);
+    return {
+      objectId: claims.oid,
+      principalName: isUser ? claims.upn || claims.unique_name || claims.preferred_username : claims.app_displayname || claims.appid,
+      principalType: isUser ? 'User' : 'ServicePrincipal',
+      tenantId: claims.tid,
+      signedIn: true
+    };
+  }
+
+  /**
+   * Register the Microsoft Entra administrator of a server
+   * Entra ID authentication must already be enabled.
+   */
+  async ensureEntraAdmin(resourceGroup, serverName, admin) {
+    sendMessage('info', `Registering ${admin.principalName} as Microsoft Entra administrator of ${serverName}`);
+    await this.upsert(
+      () => this.postgresClient.administrators.get(resourceGroup, serverName, admin.objectId),
+      () => this.postgresClient.administrators.beginCreateAndWait(resourceGroup, serverName, admin.objectId, {
+        principalType: admin.principalType,
+        principalName: admin.principalName,
+        tenantId: admin.tenantId
+      }),
+      this.postgresClient.apiVersion
+    );
+  }
+
+  /**
+   * Validate the network options shared by `provision` and `plan`
+   */
+  networkSettings({ server_name, network_mode = 'public', private_dns_zone }) {
+    if (!['public', 'private'].includes(network_mode)) {
+      throw new Error(`Invalid network_mode: ${network_mode} (expected public or private)`);
+    }
+    const isPrivate = network_mode === 'private';
+    const suffix = this.cloud.suffixes.postgres;
+    const privateDnsZone = private_dns_zone || `${server_name}.private.${suffix}`;
+    if (isPrivate && !privateDnsZone.endsWith(`.${suffix}`)) {
+      throw new Error(`Invalid private_dns_zone: ${privateDnsZone} (must end with .${suffix})`);
+    }
+    return { isPrivate, privateDnsZone };
+  }
+
+  /**
+   * Server configurations that `extensions` and `server_parameters` change
+   * Extensions are added to the azure.extensions allow-list (and to
+   * shared_preload_libraries when they need preloading), keeping what is
+   * already listed. For a server that does not exist yet (`exists` false),
+   * every requested value counts as a change.
+   */
+  async configurationChanges(resourceGroup, serverName, options, exists = true) {
+    const { configurations } = this.postgresClient;
+    const fetched = new Map();
+    const get = async name => {
+      if (!exists) return undefined;
+      if (!fetched.has(name)) {
+        try {
+          fetched.set(name, await configurations.get(resourceGroup, serverName, name));
+        } catch (error) {
+          if (error.statusCode === 404) {
+            throw new Error(`Unknown server parameter: ${name}`);
+          }
+          throw error;
+        }
+      }
+      return fetched.get(name);
+    };
+    const currentValue = async name => {
+      const configuration = await get(name);
+      return configuration && configuration.value;
+    };
+
+    const desired = parseServerParameters(options.server_parameters);
+    const extensions = parseExtensions(options.extensions);
+    if (extensions.length > 0) {
+      const allowList = 'azure.extensions' in desired ? desired['azure.extensions'] : await currentValue('azure.extensions');
+      desired['azure.extensions'] = mergeList(allowList, extensions.map(name => name.toUpperCase()));
+      const preload = extensions.filter(name => POSTGRES_PRELOAD_EXTENSIONS.includes(name));
+      if (preload.length > 0) {
+        const libraries = 'shared_preload_libraries' in desired ? desired.shared_preload_libraries : await currentValue('shared_preload_libraries');
+        desired.shared_preload_libraries = mergeList(libraries, preload);
+      }
+    }
+
+    const changes = [];
+    for (const [name, value] of Object.entries(desired)) {
+      const configuration = await get(name);
+      if (configuration && String(configuration.value).toLowerCase() === value.toLowerCase()) {
+        continue;
+      }
+      if (configuration && configuration.isReadOnly) {
+        throw new Error(`Server parameter ${name} is read-only`);
+      }
+      changes.push({
+        field: name,
+        current: !configuration ? 'default' : configuration.value || '(empty)',
+        requested: value,
+        restart: Boolean(configuration && configuration.isDynamicConfig === false)
+      });
+    }
+    return changes;
+  }
+
+  /**
+   * Apply `extensions` and `server_parameters` through the configurations
+   * API, restarting the server when a static parameter changed
+   */
+  async configureServer(resourceGroup, serverName, options) {
+    const changes = await this.configurationChanges(resourceGroup, serverName, options);
+    for (const change of changes) {
+      sendMessage('info', `Setting server parameter ${formatChange(change)}`);
+      await this.waitFor(`Setting ${change.field} on ${serverName}`,
+        pollerOptions => this.postgresClient.configurations.beginUpdate(resourceGroup, serverName, change.field, {
+          value: change.requested,
+          source: 'user-override'
+        }, pollerOptions));
+    }
+
+    const restart = changes.filter(change => change.restart).map(change => change.field);
+    if (restart.length > 0) {
+      sendMessage('info', `Restarting ${serverName} to apply ${restart.join(', ')}`);
+      await this.waitFor(`Restarting ${serverName}`,
+        pollerOptions => this.postgresClient.servers.beginRestart(resourceGroup, serverName, pollerOptions));
+    }
+  }
+
+  /**
+   * SQL connection as the Entra administrator, with an access token as the
+   * password, or null when the plugin cannot sign in as that principal
+   */
+  async entraConnection(host, database, admin) {
+    if (!admin.signedIn) return null;
+    const { token } = await this.credential.getToken(`${this.cloud.databaseTokenAudience}/.default`);
+    return { host, port: 5432, user: admin.principalName, password: token, database };
+  }
+
+  /**
+   * The application role is created over SQL, which needs the public endpoint
+   * Entra-only servers have no passwords, so they get no application role.
+   */
+  checkAppRoleEndpoint(isPrivate, options) {
+    if (isPrivate && !options.expose_admin && options.auth_mode !== 'entra') {
+      throw new Error(
+        `Cannot create an application role on ${options.server_name}: private servers have no public endpoint. ` +
+        'Set expose_admin to true to hand out the administrator login instead'
+      );
+    }
+  }
+
+  /**
+   * Apps signing in with Entra ID get `entra_app_principal`, mapped to a role
+   * over SQL as the administrator; the administrator itself only with `expose_admin`
+   */
+  checkEntraAppPrincipal(isPrivate, admin, options) {
+    const principal = options.entra_app_principal;
+    if (!admin || (!principal && options.expose_admin)) return;
+    if (!principal) {
+      throw new Error(
+        `auth_mode ${options.auth_mode} on ${options.server_name} would hand out the Entra administrator ${admin.principalName}. ` +
+        'Set entra_app_principal to the identity apps sign in as, or expose_admin to true'
+      );
+    }
+    if (isPrivate) {
+      throw new Error(
+        `Cannot create Entra role ${principal} on ${options.server_name}: private servers have no public endpoint. ` +
+        'Set expose_admin to true and leave out entra_app_principal to hand out the Entra administrator instead'
+      );
+    }
+    if (!admin.signedIn) {
+      throw new Error(`Cannot create Entra role ${principal} on ${options.server_name}: only ${admin.principalName} can sign in to it`);
+    }
+  }
+
+  /**
+   * Map `principal` to a role with the application role's privileges on
+   * `database`, signed in as the Entra administrator
+   * A role created here is remembered under `credentialId` so that `down`
+   * drops it again; one that already existed is only granted access.
+   */
+  async ensureEntraPrincipal(host, database, admin, principal, credentialId) {
+    const sql = APP_ROLE_SQL.postgres;
+    const postgres = await this.entraConnection(host, 'postgres', admin);
+    if ((await this.querySql(postgres, sql.exists(principal))).length === 0) {
+      sendMessage('info', `Creating Microsoft Entra role ${principal}`);
+      this.credentialStore.set(`${credentialId}/entra/${principal}`, { username: principal });
+      await this.runSql(postgres, sql.createEntra(principal));
+    }
+    sendMessage('info', `Granting ${principal} access to ${database}`);
+    await this.runSql(await this.entraConnection(host, database, admin), sql.grant(principal, database));
+  }
+
+  /**
+   * Drop the Entra role `provision` created on a server that `down` keeps
+   */
+  async dropEntraPrincipal(options, entry, credentialId, getServer) {
+    const principal = options.entra_app_principal;
+    const markerId = `${credentialId}/entra/${principal}`;
+    if (!principal || !this.credentialStore.get(markerId)) return;
+
+    if (entry && !entry.resources.some(item => /\/flexibleServers$/i.test(item.type))) {
+      const admin = await this.entraAdmin(options);
+      const server = await getServer();
+      const connection = await this.entraConnection(server.fullyQualifiedDomainName, options.database_name || 'defaultdb', admin);
+      if (!connection) {
+        throw new Error(`Cannot drop Entra role ${principal}: only ${admin.principalName} can sign in to ${options.server_name}`);
+      }
+      sendMessage('info', `Dropping Microsoft Entra role ${principal}`);
+      await this.runSql(connection, APP_ROLE_SQL.postgres.drop(principal));
+    }
+    this.credentialStore.delete(markerId);
+  }
+
+  /**
+   * Run SQL statements in order on one database, over TLS
+   * `connection` has host, port, user, password and database.
+   */
+  async runSql(connection, statements) {
+    if (this.dependencies.sql) {
+      return this.dependencies.sql(connection, statements);
+    }
+    await this.withSqlClient(connection, async client => {
+      for (const statement of statements) {
+        await client.query(statement);
+      }
+    });
+  }
+
+  /**
+   * Run one query and return its rows
+   */
+  async querySql(connection, query) {
+    if (this.dependencies.sql) {
+      return this.dependencies.sql(connection, [query]);
+    }
+    return this.withSqlClient(connection, async client => (await client.query(query)).rows);
+  }
+
+  /**
+   * Call `fn` with a pg client connected over TLS, closing it afterwards
+   * Closing without COMMIT rolls back an open transaction.
+   */
+  async withSqlClient(connection, fn) {
+    const client = new PgClient({ ...connection, ssl: true, connectionTimeoutMillis: 30 * 1000 });
+    await client.connect();
+    try {
+      return await fn(client);
+    } finally {
+      await client.end();
+    }
+  }
+
+  /**
+   * Describe what `provision` would do without changing anything
+   */
+  async plan(options) {
+    const {
+      server_name,
+      database_name = 'defaultdb',
+      resource_group = process.env.AZURE_RESOURCE_GROUP || 'docker-compose-rg',
+      location = process.env.AZURE_LOCATION || 'eastus',
+      sku = 'Standard_B1ms',
+      storage_mb = 32768,
+      backup_retention_days = 7,
+      geo_redundant_backup = false,
+      version = '14',
+      allowed_ip_ranges = '',
+      allow_azure_services = false,
+      detect_public_ip = true
+    } = options;
+
+    const { isPrivate, privateDnsZone } = this.networkSettings(options);
+    this.checkAppRoleEndpoint(isPrivate, options);
+    const entraAdmin = options.auth_mode === 'entra' || options.auth_mode === 'both' ? await this.entraAdmin(options) : null;
+    this.checkEntraAppPrincipal(isPrivate, entraAdmin, options);
+    const desiredRules = isPrivate
+      ? null
+      : await desiredFirewallRules({ allowed_ip_ranges, allow_azure_services, detect_public_ip });
+
+    const steps = await this.planFlexibleServer(
+      this.postgresClient,
+      { ...options, server_name, database_name, resource_group, credentialId: this.credentialId('postgres', resource_group, server_name) },
+      { location, sku, storage_mb, storage_gb: Math.ceil(storage_mb / 1024), version, backup_retention_days, geo_redundant_backup },
+      desiredRules
+    );
+
+    if (isPrivate) {
+      const {
+        vnet_name = `${server_name}-vnet`,
+        vnet_resource_group = resource_group,
+        subnet_name = 'postgres'
+      } = options;
+      const network = [
+        await this.planExisting('virtual network', vnet_name,
+          () => this.networkClient.virtualNetworks.get(vnet_resource_group, vnet_name)),
+        await this.planExisting('subnet', subnet_name,
+          () => this.networkClient.subnets.get(vnet_resource_group, vnet_name, subnet_name)),
+        await this.planExisting('private DNS zone', privateDnsZone,
+          () => this.privateDnsClient.privateZones.get(resource_group, privateDnsZone)),
+        await this.planExisting('private DNS zone link', `${vnet_name}-link`,
+          () => this.privateDnsClient.virtualNetworkLinks.get(resource_group, privateDnsZone, `${vnet_name}-link`))
+      ];
+      const subnet = network[1];
+      if (subnet.action === 'reuse' &&
+          !(subnet.current.delegations || []).some(d => d.serviceName === POSTGRES_SUBNET_DELEGATION)) {
+        subnet.detail = `not delegated to ${POSTGRES_SUBNET_DELEGATION}; up will fail`;
+      }
+      // The network is set up between the resource group and the server
+      steps.splice(1, 0, ...network);
+    }
+
+    const server = steps.find(step => step.type === this.constructor.displayName);
+    const changes = await this.configurationChanges(resource_group, server_name, options, server.action !== 'create');
+    for (const change of changes) {
+      const detail = `${change.current} -> ${change.requested}${change.restart ? ', restarts the server' : ''}`;
+      steps.push({ action: 'change', type: 'server parameter', name: change.field, detail });
+    }
+    for (const name of parseExtensions(options.extensions)) {
+      steps.push({ action: 'create', type: 'extension', name, detail: `in ${database_name}, if missing` });
+    }
+    if (entraAdmin) {
+      steps.push(server.action === 'create'
+        ? { action: 'create', type: 'Entra administrator', name: entraAdmin.principalName }
+        : await this.planExisting('Entra administrator', entraAdmin.principalName,
+          () => this.postgresClient.administrators.get(resource_group, server_name, entraAdmin.objectId)));
+    }
+    for (const script of readInitScripts(options.init_scripts, projectDirectory(options))) {
+      steps.push({ action: 'apply', type: 'init script', name: script.name, detail: `in ${database_name}, unless already applied` });
+    }
+    const credentialId = this.credentialId('postgres', resource_group, server_name);
+    if (!isPrivate && options.auth_mode !== 'entra') {
+      steps.push(this.appRoleStep(credentialId, { ...options, database_name }));
+    }
+    if (entraAdmin && options.entra_app_principal) {
+      const created = this.credentialStore.get(`${credentialId}/entra/${options.entra_app_principal}`);
+      steps.push({ action: created ? 'reuse' : 'create', type: 'Entra role', name: options.entra_app_principal, detail: `on ${database_name}` });
+    }
+
+    return steps;
+  }
+
+  /**
+   * Check that the name of a new server is free and that its sku, version
+   * and storage size are offered in `location`
+   */
+  async preflight({ server_name, location, sku, version, storage_mb }) {
+    const availability = await this.postgresClient.checkNameAvailability.execute({
+      name: server_name,
+      type: this.constructor.resourceType
+    });
+    if (!availability.nameAvailable) {
+      throw nameTakenError(server_name, availability.message);
+    }
+
+    const capabilities = [];
+    for await (const capability of this.postgresClient.locationBasedCapabilities.listExecute(location)) {
+      capabilities.push(capability);
+    }
+    if (capabilities.length === 0) return; // Nothing reported, leave it to Azure
+    if (capabilities.some(capability => capability.restricted === 'Enabled')) {
+      throw new Error(
+        `Pre-flight check failed: PostgreSQL flexible servers are restricted in ${location} for this subscription. ` +
+        `Choose another location or request access in the Azure portal`
+      );
+    }
+
+    const editions = offered(capabilities.flatMap(capability => capability.supportedServerEditions || []));
+    const edition = editions.find(candidate => candidate.name === postgresSkuTier(sku));
+    const skus = offered(edition ? edition.supportedServerSkus || [] : []).map(candidate => candidate.name);
+    if (!skus.includes(sku)) {
+      throw notOfferedError('sku', sku, location,
+        editions.flatMap(candidate => offered(candidate.supportedServerSkus || [])).map(candidate => candidate.name));
+    }
+
+    const versions = offered(capabilities.flatMap(capability => capability.supportedServerVersions || []))
+      .map(candidate => candidate.name);
+    if (versions.length > 0 && !versions.includes(String(version))) {
+      throw notOfferedError('version', version, location, versions);
+    }
+
+    const sizes = offered(edition.supportedStorageEditions || [])
+      .flatMap(storage => offered(storage.supportedStorageMb || []))
+      .map(size => size.storageSizeMb);
+    if (sizes.length > 0 && !sizes.includes(storage_mb)) {
+      throw notOfferedError('storage_mb', storage_mb, location, sizes);
+    }
+  }
+
+  /**
+   * Provision a PostgreSQL Flexible Server
+   */
+  async provision(options) {
+    const {
+      server_name,
+      database_name = 'defaultdb',
+      resource_group = process.env.AZURE_RESOURCE_GROUP || 'docker-compose-rg',
+      location = process.env.AZURE_LOCATION || 'eastus',
+      sku = 'Standard_B1ms',
+      storage_mb = 32768,
+      backup_retention_days = 7,
+      geo_redundant_backup = false,
+      version = '14',
+      allowed_ip_ranges = '',
+      allow_azure_services = false,
+      detect_public_ip = true,
+      network_mode = 'public',
+      auth_mode = 'password'
+    } = options;
+
+    sendMessage('debug', `Provisioning PostgreSQL server: ${server_name}`);
+
+    const { isPrivate, privateDnsZone } = this.networkSettings(options);
+    this.checkAppRoleEndpoint(isPrivate, options);
+    const usesPassword = auth_mode !== 'entra';
+    const entraAdmin = auth_mode === 'password' ? null : await this.entraAdmin(options);
+    this.checkEntraAppPrincipal(isPrivate, entraAdmin, options);
+
+    // Scripts are read and checked before anything is created
+    const initScripts = readInitScripts(options.init_scripts, projectDirectory(options));
+    if (initScripts.length > 0 && isPrivate) {
+      throw new Error(`Cannot run init_scripts on ${server_name}: private servers have no public endpoint`);
+    }
+    if (initScripts.length > 0 && !usesPassword && !entraAdmin.signedIn) {
+      throw new Error(`Cannot run init_scripts on ${server_name}: only ${entraAdmin.principalName} can sign in to it`);
+    }
+
+    // Resolve network access first so invalid ranges fail before anything is created
+    // Private servers have no public endpoint, so firewall rules do not apply
+    let desiredRules = null;
+    if (isPrivate) {
+      if (allowed_ip_ranges || allow_azure_services) {
+        sendMessage('info', `Ignoring firewall options: ${server_name} uses private network access`);
+      }
+    } else {
+      // The application roles, extensions and init scripts are set up over SQL
+      const sql_access = usesPassword || Boolean(options.entra_app_principal) ||
+        (entraAdmin.signedIn && (initScripts.length > 0 || parseExtensions(options.extensions).length > 0));
+      desiredRules = await desiredFirewallRules({ allowed_ip_ranges, allow_azure_services, detect_public_ip, sql_access });
+    }
+    
+    // Check a new resource before creating anything
+    await this.preflightIfNew(resource_group, { server_name, location, sku, version, storage_mb },
+      () => this.postgresClient.servers.get(resource_group, server_name));
+
+    // Ensure resource group exists
+    await this.ensureResourceGroup(resource_group, location);
+
+    // Create or reuse the VNet, delegated subnet and private DNS zone
+    const network = isPrivate
+      ? await this.ensurePrivateNetwork({ ...options, resource_group, location, private_dns_zone: privateDnsZone })
+      : null;
+    
+    const credentialId = this.credentialId('postgres', resource_group, server_name);
+    const serverParameters = this.flexibleServerParameters(
+      { location, sku, storage_mb, backup_retention_days, geo_redundant_backup, version }, postgresSkuTier);
+    if (network) {
+      serverParameters.network = {
+        delegatedSubnetResourceId: network.subnetId,
+        privateDnsZoneArmResourceId: network.privateDnsZoneId,
+        publicNetworkAccess: 'Disabled'
+      };
+    }
+    if (entraAdmin) {
+      serverParameters.authConfig = postgresAuthConfig(auth_mode, entraAdmin.tenantId);
+    }
+
+    try {
+      const { host, admin } = await this.ensureFlexibleServer(this.postgresClient, options, {
+        resourceGroup: resource_group,
+        databaseName: database_name,
+        credentialId,
+        serverParameters,
+        usesPassword,
+        desiredRules,
+        // Network access is fixed when a flexible server is created
+        checkExisting: server => {
+          const serverIsPrivate = Boolean(server.network && server.network.delegatedSubnetResourceId);
+          if (serverIsPrivate !== isPrivate) {
+            throw new Error(
+              `Server ${server_name} was created with ${serverIsPrivate ? 'private' : 'public'} network access; ` +
+              `network_mode cannot be changed on an existing server`
+            );
+          }
+        },
+        configure: async () => {
+          if (entraAdmin) {
+            await this.ensureEntraAdmin(resource_group, server_name, entraAdmin);
+          }
+          // Allow-list extensions and apply server parameters
+          await this.configureServer(resource_group, server_name, options);
+        },
+        createDatabase: () => this.postgresClient.databases.beginCreateAndWait(resource_group, server_name, database_name, {
+          charset: 'UTF8',
+          collation: 'en_US.utf8'
+        })
+      });
+
+      const connection = usesPassword
+        ? { host, port: 5432, user: admin.username, password: admin.password, database: database_name }
+        : await this.entraConnection(host, database_name, entraAdmin);
+
+      const extensions = parseExtensions(options.extensions);
+      if (extensions.length > 0 && isPrivate) {
+        sendMessage('info', `Not creating extensions: ${server_name} has no public endpoint; run CREATE EXTENSION from inside the virtual network`);
+      } else if (extensions.length > 0 && !connection) {
+        sendMessage('info', `Not creating extensions: only ${entraAdmin.principalName} can sign in to ${server_name}; run CREATE EXTENSION as that principal`);
+      } else if (extensions.length > 0) {
+        sendMessage('info', `Creating extensions in ${database_name}: ${extensions.join(', ')}`);
+        await this.runSql(connection, extensions.map(name => `CREATE EXTENSION IF NOT EXISTS ${pgIdentifier(name)}`));
+      }
+      if (initScripts.length > 0) {
+        await applyInitScripts(this, connection, initScripts);
+      }
+      if (entraAdmin && options.entra_app_principal) {
+        await this.ensureEntraPrincipal(host, database_name, entraAdmin, options.entra_app_principal, credentialId);
+      }
+
+      const endpoint = { host, port: 5432, database: database_name };
+      if (!usesPassword) {
+        return entraConnectionInfo(endpoint, entraAdmin, this.cloud, options);
+      }
+      const info = await this.appRoleConnectionInfo(isPrivate ? null : connection, endpoint, admin, credentialId, options);
+      return entraAdmin ? { ...info, ...entraConnectionInfo(endpoint, entraAdmin, this.cloud, options) } : info;
+    } catch (error) {
+      sendMessage('error', `Error provisioning PostgreSQL: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Create or reuse the VNet, delegated subnet and linked private DNS zone
+   * for a server with private network access
+   */
+  async ensurePrivateNetwork(options) {
+    const {
+      server_name,
+      resource_group,
+      location,
+      private_dns_zone,
+      vnet_name = `${server_name}-vnet`,
+      vnet_resource_group = resource_group,
+      vnet_address_prefix = '10.0.0.0/16',
+      subnet_name = 'postgres',
+      subnet_address_prefix = '10.0.0.0/24'
+    } = options;
+
+    if (vnet_resource_group !== resource_group) {
+      await this.ensureResourceGroup(vnet_resource_group, location);
+    }
+
+    // Virtual network
+    let vnet;
+    try {
+      vnet = await this.networkClient.virtualNetworks.get(vnet_resource_group, vnet_name);
+      sendMessage('info', `Using existing virtual network ${vnet_name}`);
+    } catch (error) {
+      if (error.statusCode !== 404) throw error;
+      sendMessage('info', `Creating virtual network ${vnet_name} (${vnet_address_prefix})`);
+      vnet = await this.networkClient.virtualNetworks.beginCreateOrUpdateAndWait(vnet_resource_group, vnet_name, {
+        location,
+        addressSpace: { addressPrefixes: [vnet_address_prefix] },
+        tags: this.tags()
+      });
+      this.record(vnet, NETWORK_API_VERSION);
+    }
+
+    // Subnet delegated to PostgreSQL flexible servers
+    let subnet;
+    try {
+      subnet = await this.networkClient.subnets.get(vnet_resource_group, vnet_name, subnet_name);
+    } catch (error) {
+      if (error.statusCode !== 404) throw error;
+      sendMessage('info', `Creating subnet ${subnet_name} (${subnet_address_prefix})`);
+      subnet = await this.networkClient.subnets.beginCreateOrUpdateAndWait(vnet_resource_group, vnet_name, subnet_name, {
+        addressPrefix: subnet_address_prefix,
+        delegations: [{ name: 'postgres', serviceName: POSTGRES_SUBNET_DELEGATION }]
+      });
+      this.record(subnet, NETWORK_API_VERSION);
+    }
+    const delegated = (subnet.delegations || []).some(d => d.serviceName === POSTGRES_SUBNET_DELEGATION);
+    if (!delegated) {
+      throw new Error(`Subnet ${subnet_name} in ${vnet_name} is not delegated to ${POSTGRES_SUBNET_DELEGATION}`);
+    }
+
+    // Private DNS zone, linked to the VNet so the server name resolves inside it
+    const zone = await this.upsert(
+      () => this.privateDnsClient.privateZones.get(resource_group, private_dns_zone),
+      () => this.privateDnsClient.privateZones.beginCreateOrUpdateAndWait(resource_group, private_dns_zone, {
+        location: 'global',
+        tags: this.tags()
+      }),
+      this.privateDnsClient.apiVersion
+    );
+
+    const linkName = `${vnet_name}-link`;
+    await this.upsert(
+      () => this.privateDnsClient.virtualNetworkLinks.get(resource_group, private_dns_zone, linkName),
+      () => this.privateDnsClient.virtualNetworkLinks.beginCreateOrUpdateAndWait(resource_group, private_dns_zone, linkName, {
+        location: 'global',
+        virtualNetwork: { id: vnet.id },
+        registrationEnabled: false,
+        tags: this.tags()
+      }),
+      this.privateDnsClient.apiVersion
+    );
+    sendMessage('debug', `Private DNS zone ${private_dns_zone} linked to ${vnet_name}`);
+
+    return { subnetId: subnet.id, privateDnsZoneId: zone.id };
+  }
+
+  /**
+   * Deprovision (cleanup) resources
+   * With a ledger entry only the recorded resources are deleted
+   */
+  async deprovision(options, entry) {
+    const {
+      server_name,
+      resource_group = process.env.AZURE_RESOURCE_GROUP || 'docker-compose-rg'
+    } = options;
+
+    sendMessage('info', `Deprovisioning PostgreSQL server: ${server_name}`);
+    
+    try {
+      const credentialId = this.credentialId('postgres', resource_group, server_name);
+      const getServer = () => this.postgresClient.servers.get(resource_group, server_name);
+      await this.dropAppRole('postgres', options, entry, credentialId, 5432, getServer);
+      await this.dropEntraPrincipal(options, entry, credentialId, getServer);
+      if (entry) {
+        await this.deleteRecorded(entry.resources);
+      } else {
+        await this.postgresClient.servers.beginDeleteAndWait(resource_group, server_name);
+      }
+      this.credentialStore.delete(credentialId);
+      sendMessage('info', `Server deleted successfully`);
+    } catch (error) {
+      sendMessage('error', `Error deprovisioning: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Azure MySQL Provider
+ */
+class AzureMySQLProvider extends AzureProvider {
+  static displayName = 'MySQL server';
+  static connectionEngine = 'mysql';
+  static resourceType = 'Microsoft.DBforMySQL/flexibleServers';
+  static nameRule = {
+    pattern: /^[a-z0-9][a-z0-9-]{1,61}[a-z0-9]$/,
+    description: '3-63 lowercase letters, digits and hyphens, not starting or ending with a hyphen',
+    maxLength: 63
+  };
+
+  constructor(subscriptionId, context, dependencies) {
+    super(subscriptionId, context, dependencies);
+    this.mysqlClient = this.createClient('mysqlClient', MySQLManagementFlexibleServerClient);
+  }
+
+  async describe(resource) {
+    const server = await this.mysqlClient.servers.get(resourceGroupFromId(resource.id), resource.name);
+    return {
+      state: server.state,
+      sku: server.sku.name,
+      storage: `${server.storage.storageSizeGB} GB`,
+      version: server.version
+    };
+  }
+
+  /**
+   * Settings of an existing server that differ from the requested options
+   * The MySQL API used here cannot upgrade a server's major version.
+   */
+  drift(server, options) {
+    return this.flexibleServerDrift(server, options, { skuTier: mysqlSkuTier, versionUpgrades: false });
+  }
+
+  /**
+   * Run SQL statements in order on one database, over TLS
+   * `connection` has host, port, user, password and database.
+   */
+  async runSql(connection, statements) {
+    if (this.dependencies.sql) {
+      return this.dependencies.sql(connection, statements);
+    }
+    const client = await mysql.createConnection({ ...connection, ssl: {}, connectTimeout: 30 * 1000 });
+    try {
+      for (const statement of statements) {
+        await client.query(statement);
+      }
+    } finally {
+      await client.end();
+    }
+  }
+
+  /**
+   * Describe what `provision` would do without changing anything
+   */
+  async plan(options) {
+    const {
+      server_name,
+      database_name = 'defaultdb',
+      resource_group = process.env.AZURE_RESOURCE_GROUP || 'docker-compose-rg',
+      location = process.env.AZURE_LOCATION || 'eastus',
+      sku = 'Standard_B1ms',
+      storage_mb = 32768,
+      backup_retention_days = 7,
+      geo_redundant_backup = false,
+      version = '8.0.21',
+      allowed_ip_ranges = '',
+      allow_azure_services = false,
+      detect_public_ip = true
+    } = options;
+
+    const credentialId = this.credentialId('mysql', resource_group, server_name);
+    const desiredRules = await desiredFirewallRules({ allowed_ip_ranges, allow_azure_services, detect_public_ip });
+    const steps = await this.planFlexibleServer(
+      this.mysqlClient,
+      { ...options, server_name, database_name, resource_group, credentialId },
+      { location, sku, storage_mb, storage_gb: Math.ceil(storage_mb / 1024), version, backup_retention_days, geo_redundant_backup },
+      desiredRules
+    );
+    steps.push(this.appRoleStep(credentialId, { ...options, database_name }));
+    return steps;
+  }
+
+  /**
+   * Check that the name of a new server is free and that its sku, version
+   * and storage size are offered in `location`
+   */
+  async preflight({ server_name, location, sku, version, storage_mb }) {
+    const availability = await this.mysqlClient.checkNameAvailability.execute(location, {
+      name: server_name,
+      type: this.constructor.resourceType
+    });
+    if (!availability.nameAvailable) {
+      throw nameTakenError(server_name, availability.message);
+    }
+
+    const capabilities = [];
+    for await (const capability of this.mysqlClient.locationBasedCapabilities.list(location)) {
+      capabilities.push(capability);
+    }
+    const editions = capabilities.flatMap(capability => capability.supportedFlexibleServerEditions || []);
+    if (editions.length === 0) return; // Nothing reported, leave it to Azure
+
+    // Capabilities are listed per availability zone, so an edition may appear more than once
+    const matching = editions.filter(candidate => candidate.name === mysqlSkuTier(sku));
+    const versions = matching.flatMap(candidate => candidate.supportedServerVersions || []);
+    const allVersions = editions.flatMap(candidate => candidate.supportedServerVersions || []).map(candidate => candidate.name);
+    if (!allVersions.includes(version)) {
+      throw notOfferedError('version', version, location, [...new Set(allVersions)]);
+    }
+
+    const skus = versions.filter(candidate => candidate.name === version)
+      .flatMap(candidate => candidate.supportedSkus || [])
+      .map(candidate => candidate.name);
+    if (!skus.includes(sku)) {
+      const allSkus = editions.flatMap(candidate => candidate.supportedServerVersions || [])
+        .filter(candidate => candidate.name === version)
+        .flatMap(candidate => candidate.supportedSkus || [])
+        .map(candidate => candidate.name);
+      throw notOfferedError('sku', sku, location, [...new Set(allSkus)]);
+    }
+
+    const storage = matching.flatMap(candidate => candidate.supportedStorageEditions || []);
+    if (storage.length > 0 && !storage.some(range => storage_mb >= range.minStorageSize && storage_mb <= range.maxStorageSize)) {
+      const ranges = storage.map(range => `${range.minStorageSize}-${range.maxStorageSize}`);
+      throw notOfferedError('storage_mb', storage_mb, location, [...new Set(ranges)]);
+    }
+  }
+
+  /**
+   * Provision a MySQL Flexible Server
+   */
+  async provision(options) {
+    const {
+      server_name,
+      database_name = 'defaultdb',
+      resource_group = process.env.AZURE_RESOURCE_GROUP || 'docker-compose-rg',
+      location = process.env.AZURE_LOCATION || 'eastus',
+      sku = 'Standard_B1ms',
+      storage_mb = 32768,
+      backup_retention_days = 7,
+      geo_redundant_backup = false,
+      version = '8.0.21',
+      charset = 'utf8mb4',
+      collation = 'utf8mb4_general_ci',
+      allowed_ip_ranges = '',
+      allow_azure_services = false,
+      detect_public_ip = true
+    } = options;
+
+    sendMessage('debug', `Provisioning MySQL server: ${server_name}`);
+
+    // Resolve network access first so invalid ranges fail before anything is created
+    // The application role is created over SQL, so this machine must get through
+    const desiredRules = await desiredFirewallRules({ allowed_ip_ranges, allow_azure_services, detect_public_ip, sql_access: true });
+
+    // Check a new resource before creating anything
+    await this.preflightIfNew(resource_group, { server_name, location, sku, version, storage_mb },
+      () => this.mysqlClient.servers.get(resource_group, server_name));
+
+    // Ensure resource group exists
+    await this.ensureResourceGroup(resource_group, location);
+
+    const credentialId = this.credentialId('mysql', resource_group, server_name);
+    const serverParameters = this.flexibleServerParameters(
+      { location, sku, storage_mb, backup_retention_days, geo_redundant_backup, version }, mysqlSkuTier);
+
+    try {
+      const { host, admin } = await this.ensureFlexibleServer(this.mysqlClient, options, {
+        resourceGroup: resource_group,
+        databaseName: database_name,
+        credentialId,
+        serverParameters,
+        desiredRules,
+        // create-or-update is idempotent for MySQL
+        createDatabase: () => this.mysqlClient.databases.beginCreateOrUpdateAndWait(resource_group, server_name, database_name, {
+          charset: charset,
+          collation: collation
+        })
+      });
+
+      // Return connection information
+      const connection = { host, port: 3306, user: admin.username, password: admin.password, database: database_name };
+      return await this.appRoleConnectionInfo(connection, { host, port: 3306, database: database_name }, admin, credentialId, options);
+    } catch (error) {
+      sendMessage('error', `Error provisioning MySQL: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Deprovision (cleanup) resources
+   */
+  async deprovision(options, entry) {
+    const {
+      server_name,
+      resource_group = process.env.AZURE_RESOURCE_GROUP || 'docker-compose-rg'
+    } = options;
+
+    sendMessage('info', `Deprovisioning MySQL server: ${server_name}`);
+
+    try {
+      const credentialId = this.credentialId('mysql', resource_group, server_name);
+      await this.dropAppRole('mysql', options, entry, credentialId, 3306,
+        () => this.mysqlClient.servers.get(resource_group, server_name));
+      if (entry) {
+        await this.deleteRecorded(entry.resources);
+      } else {
+        await this.mysqlClient.servers.beginDeleteAndWait(resource_group, server_name);
+      }
+      this.credentialStore.delete(credentialId);
+      sendMessage('info', `Server deleted successfully`);
+    } catch (error) {
+      sendMessage('error', `Error deprovisioning: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Capacity range of each Redis SKU: C0-C6 for Basic and Standard, P1-P5 for Premium
+ */
+const REDIS_CAPACITY = {
+  Basic: [0, 6],
+  Standard: [0, 6],
+  Premium: [1, 5]
+};
+
+/**
+ * Azure Cache for Redis Provider
+ */
+class AzureRedisProvider extends AzureProvider {
+  static displayName = 'Redis cache';
+  static resourceType = 'Microsoft.Cache/Redis';
+  static nameRule = {
+    pattern: /^(?!.*--)[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?$/,
+    description: '1-63 letters, digits and hyphens, not starting or ending with a hyphen, without consecutive hyphens',
+    maxLength: 63
+  };
+
+  constructor(subscriptionId, context, dependencies) {
+    super(subscriptionId, context, dependencies);
+    this.redisClient = this.createClient('redisClient', RedisManagementClient);
+  }
+
+  async describe(resource) {
+    const cache = await this.redisClient.redis.get(resourceGroupFromId(resource.id), resource.name);
+    return {
+      state: cache.provisioningState === 'Succeeded' ? 'Ready' : cache.provisioningState,
+      sku: `${cache.sku.name} ${cache.sku.family}${cache.sku.capacity}`,
+      storage: '-',
+      version: cache.redisVersion
+    };
+  }
+
+  /**
+   * Check that the name of a new cache is free
+   * Azure answers an unavailable name with an error rather than a result.
+   */
+  async preflight({ server_name }) {
+    try {
+      await this.redisClient.redis.checkNameAvailability({ name: server_name, type: this.constructor.resourceType });
+    } catch (error) {
+      if (error.statusCode === 400 || error.statusCode === 409) {
+        throw nameTakenError(server_name, error.message);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Provision an Azure Cache for Redis instance
+   */
+  async provision(options) {
+    const {
+      server_name,
+      resource_group = process.env.AZURE_RESOURCE_GROUP || 'docker-compose-rg',
+      location = process.env.AZURE_LOCATION || 'eastus',
+      sku = 'Basic',
+      capacity = sku === 'Premium' ? 1 : 0,
+      enable_non_ssl_port = false,
+      redis_version = '6'
+    } = options;
+
+    const [minCapacity, maxCapacity] = REDIS_CAPACITY[sku] || [];
+    if (minCapacity === undefined) {
+      throw new Error(`Invalid sku: ${sku}. Expected one of: ${Object.keys(REDIS_CAPACITY).join(', ')}`);
+    }
+    if (capacity < minCapacity || capacity > maxCapacity) {
+      throw new Error(`Invalid capacity: ${capacity}. ${sku} caches take ${minCapacity}-${maxCapacity}`);
+    }
+
+    sendMessage('debug', `Provisioning Redis cache: ${server_name}`);
+
+    // Check a new resource before creating anything
+    await this.preflightIfNew(resource_group, { server_name, location },
+      () => this.redisClient.redis.get(resource_group, server_name));
+
+    // Ensure resource group exists
+    await this.ensureResourceGroup(resource_group, location);
+
+    // Create cache parameters
+    const cacheParameters = {
+      location: location,
+      sku: {
+        name: sku,
+        family: sku === 'Premium' ? 'P' : 'C',
+        capacity: capacity
+      },
+      enableNonSslPort: enable_non_ssl_port,
+      redisVersion: redis_version,
+      minimumTlsVersion: '1.2',
+      tags: this.tags()
+    };
+
+    try {
+      // Check if cache already exists
+      let cache;
+      try {
+        cache = await this.getExisting(resource_group, server_name,
+          () => this.redisClient.redis.get(resource_group, server_name));
+        sendMessage('info', `Cache ${server_name} already exists, using existing cache`);
+      } catch (error) {
+        if (error.statusCode === 404) {
+          sendMessage('info', `Creating Redis cache (this may take 15-20 minutes)...`);
+          cache = await this.createAndWait(resource_group, server_name, `Creating Redis cache ${server_name}`,
+            pollerOptions => this.redisClient.redis.beginCreate(resource_group, server_name, cacheParameters, pollerOptions),
+            this.redisClient.apiVersion);
+          sendMessage('info', `Cache created successfully`);
+        } else {
+          throw error;
+        }
+      }
+
+      // Fetch access keys
+      const keys = await this.redisClient.redis.listKeys(resource_group, server_name);
+
+      // Return connection information
+      const host = cache.hostName || `${server_name}.${this.cloud.suffixes.redis}`;
+      const port = cache.port || 6379;
+      const sslPort = cache.sslPort || 6380;
+      const connectionString = `rediss://:${encodeURIComponent(keys.primaryKey)}@${host}:${sslPort}`;
+
+      return {
+        HOST: host,
+        PORT: port.toString(),
+        SSL_PORT: sslPort.toString(),
+        PASSWORD: keys.primaryKey,
+        URL: connectionString
+      };
+    } catch (error) {
+      sendMessage('error', `Error provisioning Redis: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Deprovision (cleanup) resources
+   */
+  async deprovision(options, entry) {
+    const {
+      server_name,
+      resource_group = process.env.AZURE_RESOURCE_GROUP || 'docker-compose-rg'
+    } = options;
+
+    sendMessage('info', `Deprovisioning Redis cache: ${server_name}`);
+
+    try {
+      if (entry) {
+        await this.deleteRecorded(entry.resources);
+      } else {
+        await this.redisClient.redis.beginDeleteAndWait(resource_group, server_name);
+      }
+      sendMessage('info', `Cache deleted successfully`);
+    } catch (error) {
+      sendMessage('error', `Error deprovisioning: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Azure Storage Provider (storage account + blob containers)
+ */
+class AzureStorageProvider extends AzureProvider {
+  static displayName = 'Storage account';
+  static resourceType = 'Microsoft.Storage/storageAccounts';
+  static nameRule = {
+    pattern: /^[a-z0-9]{3,24}$/,
+    description: '3-24 lowercase letters and digits',
+    maxLength: 24,
+    hyphens: false
+  };
+
+  constructor(subscriptionId, context, dependencies) {
+    super(subscriptionId, context, dependencies);
+    this.storageClient = this.createClient('storageClient', StorageManagementClient);
+  }
+
+  /**
+   * Check that the name of a new account is free and that the subscription
+   * has storage account quota left in `location`
+   */
+  async preflight({ server_name, location }) {
+    const availability = await this.storageClient.storageAccounts.checkNameAvailability({
+      name: server_name,
+      type: this.constructor.resourceType
+    });
+    if (!availability.nameAvailable) {
+      throw nameTakenError(server_name, availability.message);
+    }
+
+    for await (const usage of this.storageClient.usages.listByLocation(location)) {
+      if (usage.name && usage.name.value === 'StorageAccounts' && usage.currentValue >= usage.limit) {
+        throw new Error(
+          `Pre-flight check failed: the subscription already has ${usage.currentValue} of ${usage.limit} storage accounts ` +
+          `allowed in ${location}. Delete unused accounts, choose another location or request a quota increase`
+        );
+      }
+    }
+  }
+
+  /**
+   * Provision a storage account and its blob containers
+   */
+  async provision(options) {
+    const {
+      server_name,
+      resource_group = process.env.AZURE_RESOURCE_GROUP || 'docker-compose-rg',
+      location = process.env.AZURE_LOCATION || 'eastus',
+      sku = 'Standard_LRS',
+      containers = '',
+      public_access = 'none'
+    } = options;
+
+    const containerNames = parseList(containers);
+    const publicAccess = STORAGE_PUBLIC_ACCESS[public_access];
+    if (!publicAccess) {
+      throw new Error(`Invalid public_access: ${public_access}. Expected one of: ${Object.keys(STORAGE_PUBLIC_ACCESS).join(', ')}`);
+    }
+
+    sendMessage('debug', `Provisioning storage account: ${server_name}`);
+
+    // Check a new resource before creating anything
+    await this.preflightIfNew(resource_group, { server_name, location },
+      () => this.storageClient.storageAccounts.getProperties(resource_group, server_name));
+
+    // Ensure resource group exists
+    await this.ensureResourceGroup(resource_group, location);
+
+    try {
+      // Check if account already exists
+      let account;
+      try {
+        account = await this.getExisting(resource_group, server_name,
+          () => this.storageClient.storageAccounts.getProperties(resource_group, server_name));
+        sendMessage('info', `Storage account ${server_name} already exists, using existing account`);
+
+        // Anonymous access must be allowed on the account before containers can use it
+        if (publicAccess !== 'None' && !account.allowBlobPublicAccess) {
+          sendMessage('info', `Allowing blob public access on ${server_name}`);
+          account = await this.storageClient.storageAccounts.update(resource_group, server_name, {
+            allowBlobPublicAccess: true
+          });
+        }
+      } catch (error) {
+        if (error.statusCode === 404) {
+          sendMessage('info', `Creating storage account...`);
+          const accountParameters = {
+            location: location,
+            kind: 'StorageV2',
+            sku: { name: sku },
+            minimumTlsVersion: 'TLS1_2',
+            enableHttpsTrafficOnly: true,
+            allowBlobPublicAccess: publicAccess !== 'None',
+            tags: this.tags()
+          };
+          account = await this.createAndWait(resource_group, server_name, `Creating storage account ${server_name}`,
+            pollerOptions => this.storageClient.storageAccounts.beginCreate(resource_group, server_name, accountParameters, pollerOptions),
+            this.storageClient.apiVersion);
+          sendMessage('info', `Storage account created successfully`);
+        } else {
+          throw error;
+        }
+      }
+
+      // Create blob containers
+      for (const containerName of containerNames) {
+        sendMessage('info', `Creating blob container: ${containerName}`);
+        try {
+          const container = await this.storageClient.blobContainers.create(
+            resource_group,
+            server_name,
+            containerName,
+            { publicAccess: publicAccess }
+          );
+          this.record(container, this.storageClient.apiVersion);
+        } catch (error) {
+          if (error.statusCode !== 409) {
+            throw error;
+          }
+          // Container already exists, make sure the access level matches
+          await this.storageClient.blobContainers.update(
+            resource_group,
+            server_name,
+            containerName,
+            { publicAccess: publicAccess }
+          );
+        }
+      }
+
+      // Fetch access keys
+      const keys = await this.storageClient.storageAccounts.listKeys(resource_group, server_name);
+      const accountKey = keys.keys[0].value;
+
+      // Return connection information
+      const blobEndpoint = account.primaryEndpoints && account.primaryEndpoints.blob
+        ? account.primaryEndpoints.blob
+        : `https://${server_name}.blob.${this.cloud.suffixes.storage}/`;
+      // <account>.blob.<suffix>
+      const endpointSuffix = new URL(blobEndpoint).hostname.split('.').slice(2).join('.');
+      const connectionString = `DefaultEndpointsProtocol=https;AccountName=${server_name};AccountKey=${accountKey};EndpointSuffix=${endpointSuffix}`;
+
+      return {
+        ACCOUNT_NAME: server_name,
+        ACCOUNT_KEY: accountKey,
+        BLOB_ENDPOINT: blobEndpoint,
+        CONNECTION_STRING: connectionString
+      };
+    } catch (error) {
+      sendMessage('error', `Error provisioning storage: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Deprovision (cleanup) resources
+   * Deletes the whole account unless delete_account is false, in which case
+   * only the listed containers are removed. With a ledger entry only the
+   * recorded account and containers are deleted.
+   */
+  async deprovision(options, entry) {
+    const {
+      server_name,
+      resource_group = process.env.AZURE_RESOURCE_GROUP || 'docker-compose-rg',
+      containers = '',
+      delete_account = true
+    } = options;
+
+    try {
+      if (delete_account && entry) {
+        sendMessage('info', `Deprovisioning storage account: ${server_name}`);
+        await this.deleteRecorded(entry.resources);
+        return;
+      }
+
+      if (delete_account) {
+        sendMessage('info', `Deprovisioning storage account: ${server_name}`);
+        await this.storageClient.storageAccounts.delete(resource_group, server_name);
+        sendMessage('info', `Storage account deleted successfully`);
+        return;
+      }
+
+      for (const containerName of parseList(containers)) {
+        sendMessage('info', `Deleting blob container: ${containerName}`);
+        await this.storageClient.blobContainers.delete(resource_group, server_name, containerName);
+      }
+      sendMessage('info', `Blob containers deleted successfully`);
+    } catch (error) {
+      sendMessage('error', `Error deprovisioning: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Describe what `deprovision` would delete without changing anything
+   */
+  planDeprovision(options, entry) {
+    const { server_name, containers = '', delete_account = true } = options;
+    if (delete_account) {
+      return super.planDeprovision(options, entry);
+    }
+    return parseList(containers).map(name => ({ action: 'delete', type: 'blob container', name, detail: `in ${server_name}` }));
+  }
+}
+
+/**
+ * Azure Service Bus Provider (namespace + queues, topics and subscriptions)
+ */
+class AzureServiceBusProvider extends AzureProvider {
+  static displayName = 'Service Bus namespace';
+  static resourceType = 'Microsoft.ServiceBus/namespaces';
+  static nameRule = {
+    pattern: /^[a-zA-Z][a-zA-Z0-9-]{4,48}[a-zA-Z0-9]$/,
+    description: '6-50 letters, digits and hyphens, starting with a letter and ending with a letter or digit',
+    maxLength: 50
+  };
+
+  constructor(subscriptionId, context, dependencies) {
+    super(subscriptionId, context, dependencies);
+    this.serviceBusClient = this.createClient('serviceBusClient', ServiceBusManagementClient);
+  }
+
+  /**
+   * Check that the name of a new namespace is free
+   */
+  async preflight({ server_name }) {
+    const availability = await this.serviceBusClient.namespaces.checkNameAvailability({ name: server_name });
+    if (!availability.nameAvailable) {
+      throw nameTakenError(server_name, availability.message);
+    }
+  }
+
+  /**
+   * Provision a Service Bus namespace with its queues, topics and subscriptions
+   */
+  async provision(options) {
+    const {
+      server_name,
+      resource_group = process.env.AZURE_RESOURCE_GROUP || 'docker-compose-rg',
+      location = process.env.AZURE_LOCATION || 'eastus',
+      sku = 'Standard',
+      queues = '',
+      topics = '',
+      subscriptions = '',
+      access_rights = 'Send,Listen'
+    } = options;
+
+    const queueNames = parseList(queues);
+    const topicSubscriptions = parseList(subscriptions).map(entry => {
+      const [topic, subscription] = entry.split('/');
+      if (!topic || !subscription) {
+        throw new Error(`Invalid subscription: ${entry}. Expected <topic>/<subscription>`);
+      }
+      return { topic, subscription };
+    });
+    // Topics referenced by a subscription are created even if not listed explicitly
+    const topicNames = [...new Set([...parseList(topics), ...topicSubscriptions.map(s => s.topic)])];
+    const rights = parseList(access_rights);
+
+    if (topicNames.length > 0 && sku === 'Basic') {
+      throw new Error('Topics and subscriptions require the Standard or Premium Service Bus SKU');
+    }
+    if (rights.includes('Manage')) {
+      throw new Error('access_rights must not include Manage; use Send and/or Listen');
+    }
+
+    sendMessage('debug', `Provisioning Service Bus namespace: ${server_name}`);
+
+    // Check a new resource before creating anything
+    await this.preflightIfNew(resource_group, { server_name, location },
+      () => this.serviceBusClient.namespaces.get(resource_group, server_name));
+
+    // Ensure resource group exists
+    await this.ensureResourceGroup(resource_group, location);
+
+    try {
+      // Check if namespace already exists
+      let namespace;
+      try {
+        namespace = await this.getExisting(resource_group, server_name,
+          () => this.serviceBusClient.namespaces.get(resource_group, server_name));
+        sendMessage('info', `Namespace ${server_name} already exists, using existing namespace`);
+      } catch (error) {
+        if (error.statusCode === 404) {
+          sendMessage('info', `Creating Service Bus namespace...`);
+          const namespaceParameters = {
+            location: location,
+            sku: { name: sku, tier: sku },
+            minimumTlsVersion: '1.2',
+            tags: this.tags()
+          };
+          namespace = await this.createAndWait(resource_group, server_name, `Creating Service Bus namespace ${server_name}`,
+            pollerOptions => this.serviceBusClient.namespaces.beginCreateOrUpdate(resource_group, server_name, namespaceParameters, pollerOptions),
+            this.serviceBusClient.apiVersion);
+          sendMessage('info', `Namespace created successfully`);
+        } else {
+          throw error;
+        }
+      }
+
+      // Create queues, topics and subscriptions (createOrUpdate is idempotent),
+      // recording new ones so `down` deletes them from a namespace it keeps
+      for (const queueName of queueNames) {
+        sendMessage('info', `Creating queue: ${queueName}`);
+        await this.upsert(
+          () => this.serviceBusClient.queues.get(resource_group, server_name, queueName),
+          () => this.serviceBusClient.queues.createOrUpdate(resource_group, server_name, queueName, {}),
+          this.serviceBusClient.apiVersion
+        );
+      }
+
+      for (const topicName of topicNames) {
+        sendMessage('info', `Creating topic: ${topicName}`);
+        await this.upsert(
+          () => this.serviceBusClient.topics.get(resource_group, server_name, topicName),
+          () => this.serviceBusClient.topics.createOrUpdate(resource_group, server_name, topicName, {}),
+          this.serviceBusClient.apiVersion
+        );
+      }
+
+      for (const { topic, subscription } of topicSubscriptions) {
+        sendMessage('info', `Creating subscription: ${topic}/${subscription}`);
+        await this.upsert(
+          () => this.serviceBusClient.subscriptions.get(resource_group, server_name, topic, subscription),
+          () => this.serviceBusClient.subscriptions.createOrUpdate(resource_group, server_name, topic, subscription, {}),
+          this.serviceBusClient.apiVersion
+        );
+      }
+
+      // Create a scoped shared access policy instead of handing out RootManageSharedAccessKey
+      sendMessage('debug', `Configuring shared access policy ${SERVICE_BUS_POLICY_NAME} (${rights.join(', ')})`);
+      await this.serviceBusClient.namespaces.createOrUpdateAuthorizationRule(
+        resource_group,
+        server_name,
+        SERVICE_BUS_POLICY_NAME,
+        { rights: rights }
+      );
+      const keys = await this.serviceBusClient.namespaces.listKeys(resource_group, server_name, SERVICE_BUS_POLICY_NAME);
+
+      // Return connection information
+      const host = namespace.serviceBusEndpoint
+        ? new URL(namespace.serviceBusEndpoint).hostname
+        : `${server_name}.${this.cloud.suffixes.servicebus}`;
+
+      return {
+        NAMESPACE: server_name,
+        HOST: host,
+        CONNECTION_STRING: keys.primaryConnectionString
+      };
+    } catch (error) {
+      sendMessage('error', `Error provisioning Service Bus: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Deprovision (cleanup) resources
+   * Deleting the namespace removes its queues, topics and policies. With a
+   * ledger entry only the recorded namespace or entities are deleted.
+   */
+  async deprovision(options, entry) {
+    const {
+      server_name,
+      resource_group = process.env.AZURE_RESOURCE_GROUP || 'docker-compose-rg'
+    } = options;
+
+    sendMessage('info', `Deprovisioning Service Bus namespace: ${server_name}`);
+
+    try {
+      if (entry) {
+        await this.deleteRecorded(entry.resources);
+      } else {
+        await this.serviceBusClient.namespaces.beginDeleteAndWait(resource_group, server_name);
+      }
+      sendMessage('info', `Namespace deleted successfully`);
+    } catch (error) {
+      sendMessage('error', `Error deprovisioning: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Azure Cosmos DB Provider (NoSQL and MongoDB API)
+ */
+class AzureCosmosProvider extends AzureProvider {
+  static displayName = 'Cosmos DB account';
+  static resourceType = 'Microsoft.DocumentDB/databaseAccounts';
+  static nameRule = {
+    pattern: /^[a-z0-9][a-z0-9-]{1,42}[a-z0-9]$/,
+    description: '3-44 lowercase letters, digits and hyphens, not starting or ending with a hyphen',
+    maxLength: 44
+  };
+
+  constructor(subscriptionId, context, dependencies) {
+    super(subscriptionId, context, dependencies);
+    this.cosmosClient = this.createClient('cosmosClient', CosmosDBManagementClient);
+  }
+
+  /**
+   * Check that the name of a new account is free
+   */
+  async preflight({ server_name }) {
+    const { body: exists } = await this.cosmosClient.databaseAccounts.checkNameExists(server_name);
+    if (exists) {
+      throw nameTakenError(server_name);
+    }
+  }
+
+  /**
+   * Provision a Cosmos DB account with a database and its containers/collections
+   */
+  async provision(options) {
+    const {
+      server_name,
+      database_name = 'defaultdb',
+      resource_group = process.env.AZURE_RESOURCE_GROUP || 'docker-compose-rg',
+      location = process.env.AZURE_LOCATION || 'eastus',
+      api = 'sql',
+      consistency_level = 'Session',
+      capacity_mode = 'serverless',
+      throughput = 400,
+      containers = ''
+    } = options;
+
+    if (!['sql', 'mongo'].includes(api)) {
+      throw new Error(`Invalid api: ${api}. Expected one of: sql, mongo`);
+    }
+    if (!COSMOS_CONSISTENCY_LEVELS.includes(consistency_level)) {
+      throw new Error(`Invalid consistency_level: ${consistency_level}. Expected one of: ${COSMOS_CONSISTENCY_LEVELS.join(', ')}`);
+    }
+    if (!['serverless', 'provisioned'].includes(capacity_mode)) {
+      throw new Error(`Invalid capacity_mode: ${capacity_mode}. Expected one of: serverless, provisioned`);
+    }
+
+    // Containers are declared as <name> or <name>:<partition key>
+    const containerSpecs = parseList(containers).map(entry => {
+      const [name, partitionKey] = entry.split(':');
+      return { name, partitionKey };
+    });
+    // Throughput is shared at the database level; serverless accounts reject it
+    const throughputOptions = capacity_mode === 'provisioned' ? { throughput: throughput } : {};
+
+    sendMessage('debug', `Provisioning Cosmos DB account: ${server_name}`);
+
+    // Check a new resource before creating anything
+    await this.preflightIfNew(resource_group, { server_name, location },
+      () => this.cosmosClient.databaseAccounts.get(resource_group, server_name));
+
+    // Ensure resource group exists
+    await this.ensureResourceGroup(resource_group, location);
+
+    try {
+      // Check if account already exists
+      let account;
+      try {
+        account = await this.getExisting(resource_group, server_name,
+          () => this.cosmosClient.databaseAccounts.get(resource_group, server_name));
+        sendMessage('info', `Cosmos DB account ${server_name} already exists, using existing account`);
+      } catch (error) {
+        if (error.statusCode === 404) {
+          sendMessage('info', `Creating Cosmos DB account (this may take 5-10 minutes)...`);
+          const capabilities = capacity_mode === 'serverless' ? [{ name: 'EnableServerless' }] : [];
+          const accountParameters = {
+            location: location,
+            kind: api === 'mongo' ? 'MongoDB' : 'GlobalDocumentDB',
+            databaseAccountOfferType: 'Standard',
+            locations: [{ locationName: location, failoverPriority: 0 }],
+            consistencyPolicy: { defaultConsistencyLevel: consistency_level },
+            capabilities: capabilities,
+            apiProperties: api === 'mongo' ? { serverVersion: '4.2' } : undefined,
+            minimalTlsVersion: 'Tls12',
+            tags: this.tags()
+          };
+          account = await this.createAndWait(resource_group, server_name, `Creating Cosmos DB account ${server_name}`,
+            pollerOptions => this.cosmosClient.databaseAccounts.beginCreateOrUpdate(resource_group, server_name, accountParameters, pollerOptions),
+            this.cosmosClient.apiVersion);
+          sendMessage('info', `Cosmos DB account created successfully`);
+        } else {
+          throw error;
+        }
+      }
+
+      // Create database and containers (create-or-update is idempotent)
+      sendMessage('info', `Creating database: ${database_name}`);
+      if (api === 'mongo') {
+        await this.cosmosClient.mongoDBResources.beginCreateUpdateMongoDBDatabaseAndWait(
+          resource_group,
+          server_name,
+          database_name,
+          { resource: { id: database_name }, options: throughputOptions }
+        );
+
+        for (const { name, partitionKey } of containerSpecs) {
+          sendMessage('info', `Creating collection: ${name}`);
+          await this.cosmosClient.mongoDBResources.beginCreateUpdateMongoDBCollectionAndWait(
+            resource_group,
+            server_name,
+            database_name,
+            name,
+            {
+              resource: {
+                id: name,
+                shardKey: partitionKey ? { [partitionKey]: 'Hash' } : undefined
+              },
+              options: {}
+            }
+          );
+        }
+      } else {
+        await this.cosmosClient.sqlResources.beginCreateUpdateSqlDatabaseAndWait(
+          resource_group,
+          server_name,
+          database_name,
+          { resource: { id: database_name }, options: throughputOptions }
+        );
+
+        for (const { name, partitionKey = '/id' } of containerSpecs) {
+          sendMessage('info', `Creating container: ${name}`);
+          await this.cosmosClient.sqlResources.beginCreateUpdateSqlContainerAndWait(
+            resource_group,
+            server_name,
+            database_name,
+            name,
+            {
+              resource: {
+                id: name,
+                partitionKey: { paths: [partitionKey], kind: 'Hash' }
+              },
+              options: {}
+            }
+          );
+        }
+      }
+
+      // Return connection information
+      if (api === 'mongo') {
+        const { connectionStrings } = await this.cosmosClient.databaseAccounts.listConnectionStrings(resource_group, server_name);
+        return {
+          URL: connectionStrings[0].connectionString,
+          DATABASE: database_name
+        };
+      }
+
+      const keys = await this.cosmosClient.databaseAccounts.listKeys(resource_group, server_name);
+      return {
+        ENDPOINT: account.documentEndpoint || `https://${server_name}.${this.cloud.suffixes.cosmos}:443/`,
+        KEY: keys.primaryMasterKey,
+        DATABASE: database_name
+      };
+    } catch (error) {
+      sendMessage('error', `Error provisioning Cosmos DB: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Deprovision (cleanup) resources
+   */
+  async deprovision(options, entry) {
+    const {
+      server_name,
+      resource_group = process.env.AZURE_RESOURCE_GROUP || 'docker-compose-rg'
+    } = options;
+
+    sendMessage('info', `Deprovisioning Cosmos DB account: ${server_name}`);
+
+    try {
+      if (entry) {
+        await this.deleteRecorded(entry.resources);
+      } else {
+        await this.cosmosClient.databaseAccounts.beginDeleteAndWait(resource_group, server_name);
+      }
+      sendMessage('info', `Cosmos DB account deleted successfully`);
+    } catch (error) {
+      sendMessage('error', `Error deprovisioning: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Azure Key Vault secret storage
+ * Not a resource type of its own: writes the secrets returned by a provider
+ * into a vault when `key_vault` is set, and removes them again on down.
+ */
+class AzureKeyVault extends AzureProvider {
+  constructor(subscriptionId, context, dependencies) {
+    super(subscriptionId, context, dependencies);
+    this.keyVaultClient = this.createClient('keyVaultClient', KeyVaultManagementClient);
+  }
+
+  /**
+   * Tenant and object ID of the signed-in principal, read from an ARM token
+   */
+  async principal() {
+    const { token } = await this.credential.getToken(`${this.cloud.resourceManager}/.default`);
+    const claims = tokenClaims(token);
+    return { tenantId: claims.tid, objectId: claims.oid };
+  }
+
+  /**
+   * Create or reuse the vault and make sure the current principal can manage secrets
+   */
+  async ensureVault(vaultName, resourceGroup, location) {
+    const { tenantId, objectId } = await this.principal();
+    const accessPolicy = {
+      tenantId: tenantId,
+      objectId: objectId,
+      permissions: { secrets: ['get', 'list', 'set', 'delete', 'recover', 'purge'] }
+    };
+
+    try {
+      const vault = await this.keyVaultClient.vaults.get(resourceGroup, vaultName);
+      sendMessage('debug', `Using existing Key Vault: ${vaultName}`);
+      if (!vault.properties.enableRbacAuthorization) {
+        await this.keyVaultClient.vaults.updateAccessPolicy(resourceGroup, vaultName, 'add', {
+          properties: { accessPolicies: [accessPolicy] }
+        });
+      }
+      return vault;
+    } catch (error) {
+      if (error.statusCode === 404) {
+        sendMessage('info', `Creating Key Vault: ${vaultName}`);
+        const vault = await this.keyVaultClient.vaults.beginCreateOrUpdateAndWait(resourceGroup, vaultName, {
+          location: location,
+          properties: {
+            tenantId: tenantId,
+            sku: { family: 'A', name: 'standard' },
+            accessPolicies: [accessPolicy],
+            enableSoftDelete: true,
+            softDeleteRetentionInDays: 7
+          },
+          tags: this.tags()
+        });
+        this.record(vault, this.keyVaultClient.apiVersion);
+        return vault;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Write the secret values of connectionInfo to the vault
+   * Returns the extra env vars pointing at the stored secrets
+   */
+  async storeSecrets(options, connectionInfo) {
+    const {
+      key_vault,
+      server_name,
+      resource_group = process.env.AZURE_RESOURCE_GROUP || 'docker-compose-rg',
+      location = process.env.AZURE_LOCATION || 'eastus'
+    } = options;
+
+    try {
+      const vault = await this.ensureVault(key_vault, resource_group, location);
+      const vaultUri = vault.properties.vaultUri;
+      const secretClient = new SecretClient(vaultUri, this.credential);
+      const secretUris = { KEY_VAULT_URI: vaultUri };
+
+      for (const key of KEY_VAULT_SECRET_KEYS.filter(key => connectionInfo[key])) {
+        const secretName = keyVaultSecretName(server_name, key);
+        sendMessage('info', `Storing secret ${secretName} in Key Vault ${key_vault}`);
+        await secretClient.setSecret(secretName, connectionInfo[key], {
+          tags: { managed_by: 'docker-compose' }
+        });
+        // Versionless URI so apps always read the latest value
+        secretUris[`${key}_SECRET_URI`] = new URL(`secrets/${secretName}`, vaultUri).toString();
+      }
+
+      return secretUris;
+    } catch (error) {
+      sendMessage('error', `Error storing secrets in Key Vault: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Soft-delete the secrets written for a resource, purging them if requested
+   */
+  async deleteSecrets(options) {
+    const {
+      key_vault,
+      server_name,
+      resource_group = process.env.AZURE_RESOURCE_GROUP || 'docker-compose-rg',
+      purge_secrets = false
+    } = options;
+
+    try {
+      const vault = await this.keyVaultClient.vaults.get(resource_group, key_vault);
+      const secretClient = new SecretClient(vault.properties.vaultUri, this.credential);
+
+      for (const key of KEY_VAULT_SECRET_KEYS) {
+        const secretName = keyVaultSecretName(server_name, key);
+        try {
+          const poller = await secretClient.beginDeleteSecret(secretName);
+          await poller.pollUntilDone();
+        } catch (error) {
+          if (error.statusCode === 404) continue; // Secret was never written
+          throw error;
+        }
+
+        if (purge_secrets) {
+          await secretClient.purgeDeletedSecret(secretName);
+          sendMessage('info', `Purged secret ${secretName} from Key Vault ${key_vault}`);
+        } else {
+          sendMessage('info', `Deleted secret ${secretName} from Key Vault ${key_vault} (recoverable)`);
+        }
+      }
+    } catch (error) {
+      sendMessage('error', `Error deleting secrets from Key Vault: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Local PostgreSQL Provider
+ * Runs the requested version in a Docker container instead of Azure, for
+ * offline development. Emits the same keys as AzurePostgresProvider.
+ */
+class LocalPostgresProvider {
+  static displayName = 'PostgreSQL container';
+  static connectionEngine = 'postgres';
+
+  // subscriptionId is unused; the signature matches the Azure providers
+  constructor(subscriptionId, context = {}, dependencies = {}) {
+    this.context = context;
+    this.credentialStore = dependencies.credentialStore || new CredentialStore();
+    this.created = [];
+  }
+
+  /**
+   * Container and volume names for this Compose service
+   */
+  names() {
+    const container = `docker-azure-${this.context.project}-${this.context.service}`
+      .toLowerCase()
+      .replace(/[^a-z0-9_.-]/g, '-');
+    return { container, volume: `${container}-data`, credentialId: `local-postgres/${container}` };
+  }
+
+  record(type, name) {
+    this.created.push({ type, id: `docker://${type}/${name}`, name, created_at: new Date().toISOString() });
+  }
+
+  /**
+   * Settings passed to the server with -c when the container is created
+   * azure.extensions has no local equivalent; preloaded extensions are
+   * added to shared_preload_libraries like on Azure.
+   */
+  serverParameters({ server_parameters, extensions }) {
+    const parameters = parseServerParameters(server_parameters);
+    delete parameters['azure.extensions'];
+    const preload = parseExtensions(extensions).filter(name => POSTGRES_PRELOAD_EXTENSIONS.includes(name));
+    if (preload.length > 0) {
+      parameters.shared_preload_libraries = mergeList(parameters.shared_preload_libraries, preload);
+    }
+    return parameters;
+  }
+
+  /**
+   * Start (or reuse) the PostgreSQL container and create the database
+   */
+  async provision(options) {
+    const {
+      database_name = 'defaultdb',
+      admin_username = 'dbadmin',
+      version = '14',
+      local_network = `${this.context.project}_default`
+    } = options;
+    const { container, volume, credentialId } = this.names();
+
+    const stored = this.credentialStore.get(credentialId);
+    const credential = stored || { username: admin_username, password: generatePassword() };
+    let resetPassword = false;
+
+    if (await dockerExists('container', container)) {
+      sendMessage('info', `Container ${container} already exists, using existing container`);
+      if (Object.keys(this.serverParameters(options)).length > 0) {
+        sendMessage('info', `Server parameters only apply when ${container} is created; run down first to change them`);
+      }
+      await docker('start', container);
+
+      if (!stored) {
+        const env = JSON.parse(await docker('container', 'inspect', '--format', '{{json .Config.Env}}', container));
+        const user = env.find(item => item.startsWith('POSTGRES_USER='));
+        credential.username = user ? user.slice('POSTGRES_USER='.length) : 'postgres';
+        resetPassword = true;
+      }
+    } else {
+      // Store the credential first so a half-initialised volume can still be reused
+      this.credentialStore.set(credentialId, credential);
+      const volumeExists = await dockerExists('volume', volume);
+
+      const args = [
+        'run', '--detach', '--name', container,
+        '--label', 'managed_by=docker-compose',
+        '--label', `compose_project=${this.context.project}`,
+        '--label', `compose_service=${this.context.service}`,
+        '--env', `POSTGRES_USER=${credential.username}`,
+        '--env', `POSTGRES_PASSWORD=${credential.password}`,
+        '--env', `POSTGRES_DB=${database_name}`,
+        '--volume', `${volume}:/var/lib/postgresql/data`
+      ];
+      // Join the Compose project network when there is one, otherwise publish to localhost
+      const onNetwork = await dockerExists('network', local_network);
+      args.push(...(onNetwork ? ['--network', local_network] : ['--publish', '127.0.0.1::5432']));
+      // TLS with the image's self-signed certificate, like Azure's sslmode=require
+      args.push(`postgres:${version}`, ...LOCAL_POSTGRES_SSL_ARGS);
+      for (const [name, value] of Object.entries(this.serverParameters(options))) {
+        args.push('-c', `${name}=${value}`);
+      }
+
+      sendMessage('info', `Starting PostgreSQL ${version} in container ${container}...`);
+      await docker(...args);
+      this.record('containers', container);
+      if (!volumeExists) this.record('volumes', volume);
+    }
+
+    await this.waitUntilReady(container, credential.username);
+
+    // Local connections inside the container are trusted, so a lost password can be reset
+    if (resetPassword) {
+      sendMessage('info', `No stored credential for ${container}, resetting password`);
+      const user = credential.username.replace(/"/g, '""');
+      await docker('exec', container, 'psql', '-U', credential.username, '-d', 'postgres', '-c',
+        `ALTER USER "${user}" PASSWORD '${credential.password.replace(/'/g, "''")}'`);
+      this.credentialStore.set(credentialId, credential);
+    }
+
+    // POSTGRES_DB only applies to a fresh volume
+    const exists = await docker('exec', container, 'psql', '-U', credential.username, '-d', 'postgres', '-tAc',
+      `SELECT 1 FROM pg_database WHERE datname = '${database_name.replace(/'/g, "''")}'`);
+    if (exists !== '1') {
+      sendMessage('info', `Creating database: ${database_name}`);
+      await docker('exec', container, 'createdb', '-U', credential.username, database_name);
+    }
+
+    const connection = { user: credential.username, database: database_name };
+    const extensions = parseExtensions(options.extensions);
+    if (extensions.length > 0) {
+      sendMessage('info', `Creating extensions in ${database_name}: ${extensions.join(', ')}`);
+      await this.runSql(connection, extensions.map(name => `CREATE EXTENSION IF NOT EXISTS ${pgIdentifier(name)}`));
+    }
+    const initScripts = readInitScripts(options.init_scripts, projectDirectory(options));
+    if (initScripts.length > 0) {
+      await applyInitScripts(this, connection, initScripts);
+    }
+    const appRole = await ensureAppRole(this, 'postgres', connection, credentialId, options);
+
+    const network = JSON.parse(await docker('container', 'inspect', '--format', '{{json .NetworkSettings}}', container));
+    const published = network.Ports && network.Ports['5432/tcp'];
+    return sqlConnectionInfo('postgres', {
+      host: published ? '127.0.0.1' : container,
+      port: published ? published[0].HostPort : '5432',
+      database: database_name,
+      admin: credential,
+      appRole
+    }, options);
+  }
+
+  /**
+   * Run SQL statements in order in one psql session inside the container
+   * `connection` has user and database; local connections need no password.
+   */
+  async runSql(connection, statements) {
+    const { container } = this.names();
+    await docker('exec', container, 'psql', '-U', connection.user, '-d', connection.database, '-v', 'ON_ERROR_STOP=1',
+      ...statements.flatMap(statement => ['-c', statement]));
+  }
+
+  /**
+   * Run one query and return its rows, passed out of psql as JSON
+   */
+  async querySql(connection, query) {
+    const { container } = this.names();
+    const output = await docker('exec', container, 'psql', '-U', connection.user, '-d', connection.database, '-v', 'ON_ERROR_STOP=1',
+      '-tAc', `SELECT coalesce(json_agg(q), '[]') FROM (${query}) q`);
+    return JSON.parse(output);
+  }
+
+  /**
+   * Wait for the server to accept TCP connections
+   * The image's init scripts run a temporary server on the Unix socket only.
+   */
+  async waitUntilReady(container, username, timeoutSeconds = 60) {
+    const deadline = Date.now() + timeoutSeconds * 1000;
+    while (true) {
+      try {
+        await docker('exec', container, 'pg_isready', '-h', '127.0.0.1', '-U', username);
+        return;
+      } catch (error) {
+        if (Date.now() > deadline) {
+          throw new Error(`PostgreSQL in ${container} was not ready after ${timeoutSeconds}s: ${error.message}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+    }
+  }
+
+  /**
+   * Describe what `provision` would do without changing anything
+   */
+  async plan(options) {
+    const { version = '14', database_name = 'defaultdb' } = options;
+    const { container, volume } = this.names();
+    const containerExists = await dockerExists('container', container);
+    return [
+      { action: containerExists ? 'reuse' : 'create', type: 'container', name: container, detail: `postgres:${version}` },
+      { action: await dockerExists('volume', volume) ? 'reuse' : 'create', type: 'volume', name: volume },
+      { action: containerExists ? 'reuse' : 'create', type: 'database', name: database_name }
+    ];
+  }
+
+  /**
+   * Remove the container and its data volume
+   * The application role goes with the container; only its credential is left.
+   */
+  async deprovision(options) {
+    const { container, volume, credentialId } = this.names();
+    sendMessage('info', `Removing container ${container} and volume ${volume}`);
+    if (await dockerExists('container', container)) {
+      await docker('rm', '--force', '--volumes', container);
+    }
+    if (await dockerExists('volume', volume)) {
+      await docker('volume', 'rm', volume);
+    }
+    this.credentialStore.delete(`${credentialId}/roles/${appRoleName(options)}`);
+    this.credentialStore.delete(credentialId);
+  }
+
+  planDeprovision() {
+    const { container, volume } = this.names();
+    return [
+      { action: 'delete', type: 'container', name: container },
+      { action: 'delete', type: 'volume', name: volume }
+    ];
+  }
+}
+
+/**
+ * Run a docker CLI command and return its trimmed output
+ */
+async function docker(...args) {
+  try {
+    const { stdout } = await execFileAsync('docker', args);
+    return stdout.trim();
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error('The local backend needs the docker CLI on PATH');
+    }
+    throw new Error(`docker ${args[0]} failed: ${(error.stderr || error.message).trim()}`);
+  }
+}
+
+/**
+ * Check whether a docker container, volume or network exists
+ */
+async function dockerExists(kind, name) {
+  try {
+    await docker(kind, 'inspect', name);
+    return true;
+  } catch (error) {
+    if (/No such/i.test(error.message)) return false;
+    throw error;
+  }
+}
+
+/**
+ * Server arguments enabling TLS with the self-signed certificate shipped in
+ * the official postgres image
+ */
+const LOCAL_POSTGRES_SSL_ARGS = [
+  '-c', 'ssl=on',
+  '-c', 'ssl_cert_file=/etc/ssl/certs/ssl-cert-snakeoil.pem',
+  '-c', 'ssl_key_file=/etc/ssl/private/ssl-cert-snakeoil.key'
+];
+
+/**
+ * Connection info keys written to Key Vault when `key_vault` is set
+ */
+const KEY_VAULT_SECRET_KEYS = ['PASSWORD', 'URL', 'ADMIN_PASSWORD', 'ADMIN_URL', 'KEY', 'ACCOUNT_KEY', 'CONNECTION_STRING'];
+
+/**
+ * Key Vault secret name for a connection info key, e.g. myserver-password
+ */
+function keyVaultSecretName(serverName, key) {
+  return `${serverName}-${key.toLowerCase().replace(/_/g, '-')}`;
+}
+
+/**
+ * Default consistency levels accepted by Cosmos DB accounts
+ */
+const COSMOS_CONSISTENCY_LEVELS = ['Eventual', 'ConsistentPrefix', 'Session', 'BoundedStaleness', 'Strong'];
+
+/**
+ * Name of the shared access policy created on Service Bus namespaces
+ */
+const SERVICE_BUS_POLICY_NAME = 'docker-compose';
+
+/**
+ * Blob container public access levels keyed by the `public_access` option
+ */
+const STORAGE_PUBLIC_ACCESS = {
+  none: 'None',
+  blob: 'Blob',
+  container: 'Container'
+};
+
+/**
+ * Split a comma-separated option value into a list of trimmed names
+ */
+function parseList(value) {
+  if (Array.isArray(value)) return value;
+  return String(value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Connection URL with the user, password and database URL-encoded
+ */
+function databaseUrl(scheme, { HOST, PORT, DATABASE, USER, PASSWORD }, query) {
+  const credentials = PASSWORD === undefined
+    ? encodeURIComponent(USER)
+    : `${encodeURIComponent(USER)}:${encodeURIComponent(PASSWORD)}`;
+  return `${scheme}://${credentials}@${HOST}:${PORT}/${encodeURIComponent(DATABASE)}?${query}`;
+}
+
+/**
+ * `settings` without the undefined ones, e.g. PASSWORD with Entra ID sign-in
+ */
+function definedSettings(settings) {
+  return Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * ADO.NET connection string; values with separators or quotes are quoted
+ */
+function adoConnectionString(settings) {
+  return Object.entries(definedSettings(settings))
+    .map(([key, value]) => {
+      const text = String(value);
+      return `${key}=${/[;="'\s]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text}`;
+    })
+    .join(';');
+}
+
+/**
+ * libpq keyword/value connection string; values are quoted and escaped
+ */
+function libpqConnectionString(settings) {
+  return Object.entries(definedSettings(settings))
+    .map(([key, value]) => `${key}='${String(value).replace(/[\\']/g, '\\$&')}'`)
+    .join(' ');
+}
+
+/**
+ * Characters the Go MySQL driver would misread in a DSN's database name
+ */
+const GO_DSN_UNSAFE = /[/?%]/;
+
+/**
+ * Go MySQL driver DSN, user:password@tcp(host:port)/dbname
+ * The driver unescapes neither user nor password: it takes the database
+ * after the last '/', the password up to the last '@' before it and the user
+ * up to the first ':'. Any password is safe, and app_role's naming rule keeps
+ * ':' out of users; checkOptions refuses databases the driver would split.
+ */
+function goMysqlDsn({ HOST, PORT, DATABASE, USER, PASSWORD }) {
+  if (GO_DSN_UNSAFE.test(DATABASE)) {
+    throw new Error(`Cannot build the dsn format: database ${DATABASE} contains '/', '?' or '%'`);
+  }
+  return `${USER}:${PASSWORD}@tcp(${HOST}:${PORT})/${DATABASE}?tls=true`;
+}
+
+/**
+ * Extra connection formats for SQL servers, by engine and `formats` name
+ * Each builds its variables from the HOST, PORT, DATABASE, USER and
+ * PASSWORD values every SQL provider returns; PASSWORD is left out of the
+ * PostgreSQL formats when apps sign in with Entra ID tokens.
+ */
+const CONNECTION_FORMATS = {
+  postgres: {
+    jdbc: info => ({
+      JDBC_URL: `jdbc:postgresql://${info.HOST}:${info.PORT}/${encodeURIComponent(info.DATABASE)}?` +
+        new URLSearchParams(definedSettings({ sslmode: 'require', user: info.USER, password: info.PASSWORD }))
+    }),
+    dotnet: info => ({
+      DOTNET_CONNECTION_STRING: adoConnectionString({
+        Host: info.HOST, Port: info.PORT, Database: info.DATABASE, Username: info.USER, Password: info.PASSWORD, 'SSL Mode': 'Require'
+      })
+    }),
+    libpq: info => ({
+      PGHOST: info.HOST, PGPORT: info.PORT, PGDATABASE: info.DATABASE, PGUSER: info.USER, PGPASSWORD: info.PASSWORD, PGSSLMODE: 'require'
+    }),
+    dsn: info => ({
+      DSN: libpqConnectionString({
+        host: info.HOST, port: info.PORT, dbname: info.DATABASE, user: info.USER, password: info.PASSWORD, sslmode: 'require'
+      })
+    })
+  },
+  mysql: {
+    jdbc: info => ({
+      JDBC_URL: `jdbc:mysql://${info.HOST}:${info.PORT}/${encodeURIComponent(info.DATABASE)}?` +
+        new URLSearchParams({ sslMode: 'REQUIRED', user: info.USER, password: info.PASSWORD })
+    }),
+    dotnet: info => ({
+      DOTNET_CONNECTION_STRING: adoConnectionString({
+        Server: info.HOST, Port: info.PORT, Database: info.DATABASE, 'User ID': info.USER, Password: info.PASSWORD, SslMode: 'Required'
+      })
+    }),
+    dsn: info => ({ DSN: goMysqlDsn(info) })
+  }
+};
+
+/**
+ * Connection info plus the variables of the requested `formats`
+ */
+function withConnectionFormats(engine, info, formats) {
+  return definedSettings(Object.assign({ ...info }, ...parseList(formats).map(format => CONNECTION_FORMATS[engine][format](info))));
+}
+
+/**
+ * Parse `env_mapping` into [key, new name] pairs, or throw on bad entries
+ * Entries are KEY=NEW_NAME to rename, KEY to keep as is, or * to keep
+ * every key not listed; without *, keys not listed are left out.
+ */
+function parseEnvMapping(value) {
+  return parseList(value).map(entry => {
+    const match = /^(\*|[A-Za-z_][A-Za-z0-9_]*)(?:=([A-Za-z_][A-Za-z0-9_]*))?$/.exec(entry);
+    if (!match || (match[1] === '*' && match[2])) {
+      throw new Error(`Invalid env_mapping entry: ${entry}. Expected KEY=NEW_NAME, KEY or *`);
+    }
+    return [match[1], match[2] || match[1]];
+  });
+}
+
+/**
+ * Rename and filter connection info keys as `env_mapping` asks
+ */
+function applyEnvMapping(connectionInfo, value) {
+  const mapping = parseEnvMapping(value);
+  if (mapping.length === 0) return connectionInfo;
+
+  const keepRest = mapping.some(([key]) => key === '*');
+  const mapped = {};
+  for (const [key, name] of mapping.filter(([key]) => key !== '*')) {
+    if (!(key in connectionInfo)) {
+      sendMessage('info', `env_mapping: no ${key} variable to map (available: ${Object.keys(connectionInfo).join(', ')})`);
+      continue;
+    }
+    mapped[name] = connectionInfo[key];
+  }
+  if (keepRest) {
+    const listed = new Set(mapping.map(([key]) => key));
+    for (const [key, value] of Object.entries(connectionInfo)) {
+      if (!listed.has(key) && !(key in mapped)) mapped[key] = value;
+    }
+  }
+  return mapped;
+}
+
+/**
+ * Extensions that only work when listed in shared_preload_libraries, which
+ * takes a server restart
+ */
+const POSTGRES_PRELOAD_EXTENSIONS = ['pg_cron', 'pg_hint_plan', 'pg_prewarm', 'pg_stat_statements', 'pgaudit', 'timescaledb'];
+
+/**
+ * Extension names accepted in `extensions` that differ from the name in SQL
+ */
+const POSTGRES_EXTENSION_ALIASES = { pgvector: 'vector' };
+
+/**
+ * Parse `extensions` into lowercase SQL extension names, or throw on bad names
+ */
+function parseExtensions(value) {
+  return parseList(value).map(entry => {
+    const name = entry.toLowerCase();
+    if (!/^[a-z0-9_-]+$/.test(name)) {
+      throw new Error(`Invalid extension: ${entry}`);
+    }
+    return POSTGRES_EXTENSION_ALIASES[name] || name;
+  });
+}
+
+/**
+ * Parse `server_parameters` ("name=value,name=value") into an object
+ * An entry without "=" continues the previous value, so list values such
+ * as shared_preload_libraries=pg_cron,pgaudit need no quoting.
+ */
+function parseServerParameters(value) {
+  const parameters = {};
+  let last;
+  for (const entry of parseList(value)) {
+    const match = /^([A-Za-z_][A-Za-z0-9_.]*)=(.*)$/.exec(entry);
+    if (match) {
+      last = match[1];
+      parameters[last] = match[2].trim();
+    } else if (last) {
+      parameters[last] += `,${entry}`;
+    } else {
+      throw new Error(`Invalid server_parameters entry: ${entry}. Expected name=value`);
+    }
+  }
+  return parameters;
+}
+
+/**
+ * Comma-separated list value with `additions` appended unless already present
+ */
+function mergeList(current, additions) {
+  const items = parseList(current);
+  for (const addition of additions) {
+    if (!items.some(item => item.toLowerCase() === addition.toLowerCase())) {
+      items.push(addition);
+    }
+  }
+  return items.join(',');
+}
+
+/**
+ * Quote a PostgreSQL identifier or string literal
+ */
+function pgIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+function pgLiteral(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Quote a MySQL identifier or string literal
+ */
+function mysqlIdentifier(name) {
+  return `\`${String(name).replace(/`/g, '``')}\``;
+}
+
+function mysqlLiteral(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "''")}'`;
+}
+
+/**
+ * SQL that creates (or updates the password of) an application role with
+ * privileges on one database's schema only, and that drops it again
+ * Both run as the administrator, connected to that database. PostgreSQL has
+ * no CREATE ROLE IF NOT EXISTS, so `exists` is queried first; the password
+ * stays out of DO blocks, where a '$$' in it would end the body.
+ */
+const APP_ROLE_SQL = {
+  postgres: {
+    exists: role => `SELECT 1 FROM pg_roles WHERE rolname = ${pgLiteral(role)}`,
+    create: (role, password, database, exists) => [
+      `${exists ? 'ALTER' : 'CREATE'} ROLE ${pgIdentifier(role)} WITH LOGIN PASSWORD ${pgLiteral(password)}`,
+      ...APP_ROLE_SQL.postgres.grant(role, database)
+    ],
+    // A Microsoft Entra principal signs in with a token; the admin runs this on the postgres database
+    createEntra: principal => [`SELECT * FROM pgaadauth_create_principal(${pgLiteral(principal)}, false, false)`],
+    grant: (role, database) => {
+      const name = pgIdentifier(role);
+      return [
+        `GRANT CONNECT ON DATABASE ${pgIdentifier(database)} TO ${name}`,
+        `GRANT USAGE, CREATE ON SCHEMA public TO ${name}`,
+        `GRANT SELECT, INSERT, UPDATE, DELETE ON ALL TABLES IN SCHEMA public TO ${name}`,
+        `GRANT USAGE, SELECT, UPDATE ON ALL SEQUENCES IN SCHEMA public TO ${name}`,
+        // Tables the administrator creates later (e.g. init scripts) too
+        `ALTER DEFAULT PRIVILEGES IN SCHEMA public GRANT SELECT, INSERT, UPDATE, DELETE ON TABLES TO ${name}`,
+        `ALTER DEFAULT PRIVILEGES IN SCHEMA public GRANT USAGE, SELECT, UPDATE ON SEQUENCES TO ${name}`
+      ];
+    },
+    // Objects the role owns are handed to the administrator, not dropped
+    drop: role => {
+      const name = pgIdentifier(role).replace(/'/g, "''");
+      return [`DO $$ BEGIN
+  IF EXISTS (SELECT FROM pg_roles WHERE rolname = ${pgLiteral(role)}) THEN
+    EXECUTE 'GRANT ${name} TO CURRENT_USER';
+    EXECUTE 'REASSIGN OWNED BY ${name} TO CURRENT_USER';
+    EXECUTE 'DROP OWNED BY ${name}';
+    EXECUTE 'DROP ROLE ${name}';
+  END IF;
+END $$`];
+    }
+  },
+  mysql: {
+    create: (role, password, database) => {
+      const user = `${mysqlLiteral(role)}@'%'`;
+      return [
+        `CREATE USER IF NOT EXISTS ${user} IDENTIFIED BY ${mysqlLiteral(password)}`,
+        `ALTER USER ${user} IDENTIFIED BY ${mysqlLiteral(password)}`,
+        `GRANT SELECT, INSERT, UPDATE, DELETE, CREATE, ALTER, DROP, INDEX, REFERENCES, CREATE VIEW, SHOW VIEW, TRIGGER, ` +
+          `CREATE TEMPORARY TABLES, LOCK TABLES, EXECUTE, CREATE ROUTINE, ALTER ROUTINE ON ${mysqlIdentifier(database)}.* TO ${user}`
+      ];
+    },
+    drop: role => [`DROP USER IF EXISTS ${mysqlLiteral(role)}@'%'`]
+  }
+};
+
+/**
+ * Name of the application role for a database: `app_role`, or
+ * <database_name>_app made safe for both engines
+ */
+function appRoleName({ app_role, database_name = 'defaultdb' }) {
+  if (app_role) return app_role;
+  const base = database_name.toLowerCase().replace(/[^a-z0-9_]+/g, '_').replace(/^[^a-z_]/, '_$&');
+  return `${base.slice(0, 28)}_app`;
+}
+
+/**
+ * Create or update the application role of a database and return its
+ * credential, keyed under the administrator's `credentialId`
+ * The stored password is kept unless `rotate_credentials` is set or none
+ * is stored. `provider` supplies the credential store, `runSql` and, for
+ * PostgreSQL, `querySql`.
+ */
+async function ensureAppRole(provider, engine, connection, credentialId, options) {
+  const role = appRoleName(options);
+  const roleCredentialId = `${credentialId}/roles/${role}`;
+  const stored = provider.credentialStore.get(roleCredentialId);
+  const rotate = Boolean(stored && options.rotate_credentials);
+  const credential = stored && !rotate ? stored : { username: role, password: generatePassword() };
+
+  sendMessage('info', `${!stored ? 'Creating' : rotate ? 'Rotating the password of' : 'Updating'} application role ${role} for ${connection.database}`);
+  // Stored first: the next run sets the stored password again if this one fails
+  provider.credentialStore.set(roleCredentialId, credential);
+  const sql = APP_ROLE_SQL[engine];
+  const exists = sql.exists ? (await provider.querySql(connection, sql.exists(role))).length > 0 : false;
+  await provider.runSql(connection, sql.create(role, credential.password, connection.database, exists));
+  return credential;
+}
+
+/**
+ * Connection info for a SQL server: the application role's login, plus the
+ * administrator's as ADMIN_* when `expose_admin` is set
+ */
+function sqlConnectionInfo(engine, { host, port, database, admin, appRole }, options) {
+  const scheme = engine === 'postgres' ? 'postgresql' : 'mysql';
+  const sslMode = engine === 'postgres' ? 'require' : 'REQUIRED';
+  const query = engine === 'postgres' ? 'sslmode=require' : 'ssl-mode=REQUIRED';
+  const login = appRole || admin;
+  const info = { HOST: host, PORT: String(port), DATABASE: database, USER: login.username, PASSWORD: login.password };
+
+  const result = { ...info, URL: databaseUrl(scheme, info, query), SSL_MODE: sslMode };
+  if (options.expose_admin) {
+    const adminInfo = { ...info, USER: admin.username, PASSWORD: admin.password };
+    Object.assign(result, {
+      ADMIN_USER: admin.username,
+      ADMIN_PASSWORD: admin.password,
+      ADMIN_URL: databaseUrl(scheme, adminInfo, query)
+    });
+  }
+  return withConnectionFormats(engine, result, options.formats);
+}
+
+/**
+ * Connection info for apps signing in to PostgreSQL with Microsoft Entra ID
+ * There is no password: apps request a token for TOKEN_SCOPE and send it as
+ * the password of USER, which is `entra_app_principal` unless only
+ * `expose_admin` is set. With auth_mode both only the Entra variables are
+ * returned, as ENTRA_USER and ENTRA_URL next to the password login.
+ */
+function entraConnectionInfo({ host, port, database }, admin, cloud, options) {
+  const user = options.entra_app_principal || admin.principalName;
+  const info = { HOST: host, PORT: String(port), DATABASE: database, USER: user };
+  const url = databaseUrl('postgresql', info, 'sslmode=require');
+  const entra = { AUTH_MODE: options.auth_mode, TOKEN_SCOPE: `${cloud.databaseTokenAudience}/.default`, TENANT_ID: admin.tenantId };
+  if (options.auth_mode === 'both') {
+    return { ENTRA_USER: user, ENTRA_URL: url, ...entra };
+  }
+  const result = { ...info, URL: url, SSL_MODE: 'require', ...entra };
+  if (options.expose_admin && options.entra_app_principal) {
+    const adminInfo = { ...info, USER: admin.principalName };
+    Object.assign(result, { ADMIN_USER: admin.principalName, ADMIN_URL: databaseUrl('postgresql', adminInfo, 'sslmode=require') });
+  }
+  return withConnectionFormats('postgres', result, options.formats);
+}
+
+/**
+ * auth_mode of a PostgreSQL server, from its authConfig
+ */
+function postgresAuthMode(authConfig = {}) {
+  const password = authConfig.passwordAuth !== 'Disabled';
+  if (authConfig.activeDirectoryAuth !== 'Enabled') return 'password';
+  return password ? 'both' : 'entra';
+}
+
+/**
+ * PostgreSQL authConfig for an auth_mode
+ */
+function postgresAuthConfig(authMode, tenantId) {
+  const authConfig = {
+    activeDirectoryAuth: authMode === 'password' ? 'Disabled' : 'Enabled',
+    passwordAuth: authMode === 'entra' ? 'Disabled' : 'Enabled'
+  };
+  if (tenantId) authConfig.tenantId = tenantId;
+  return authConfig;
+}
+
+/**
+ * Claims of a JWT access token, e.g. the signed-in principal's oid and tid
+ */
+function tokenClaims(token) {
+  try {
+    return JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Cannot tell who is signed in to Azure: the access token is not a JWT');
+  }
+}
+
+/**
+ * Table recording the init scripts applied to a database, with their checksums
+ */
+const INIT_SCRIPTS_TABLE = 'docker_compose_migrations';
+
+/**
+ * First line of an init script that runs outside the transaction `up` wraps
+ * around each script, and the transaction control that needs it
+ */
+const NO_TRANSACTION_HEADER = /^\s*--\s*no-transaction\s*(\r?\n|$)/i;
+const TRANSACTION_CONTROL = /^\s*(BEGIN|START\s+TRANSACTION|COMMIT|ROLLBACK)(\s+(WORK|TRANSACTION))?\s*;/im;
+
+/**
+ * Compose project directory that relative paths in options are resolved
+ * against: `project_dir`, else $COMPOSE_PROJECT_DIR, else the directory the
+ * plugin runs in. A relative `project_dir` is taken from the latter two.
+ */
+function projectDirectory(options) {
+  return path.resolve(process.env.COMPOSE_PROJECT_DIR || process.cwd(), options.project_dir || '');
+}
+
+/**
+ * Read `init_scripts`: comma-separated .sql files and directories, relative
+ * to `baseDir`, the project directory (see projectDirectory)
+ * A directory contributes its .sql files sorted by name. Scripts are named
+ * by their path relative to `baseDir`, which is what the migrations table keys on.
+ * Scripts with their own transaction control must start with `-- no-transaction`.
+ */
+function readInitScripts(value, baseDir) {
+  const scripts = [];
+  for (const entry of parseList(value)) {
+    const fullPath = path.resolve(baseDir, entry);
+    if (!fs.existsSync(fullPath)) {
+      throw new Error(`Invalid init_scripts entry: ${entry} (no such file or directory in ${baseDir})`);
+    }
+    const files = fs.statSync(fullPath).isDirectory()
+      ? fs.readdirSync(fullPath).filter(name => /\.sql$/i.test(name)).sort().map(name => path.join(fullPath, name))
+      : [fullPath];
+
+    for (const file of files) {
+      const sql = fs.readFileSync(file, 'utf8');
+      const name = path.relative(baseDir, file).split(path.sep).join('/');
+      const transaction = !NO_TRANSACTION_HEADER.test(sql);
+      if (transaction && TRANSACTION_CONTROL.test(sql)) {
+        throw new Error(`Invalid init_scripts entry: ${name} manages its own transaction; start it with a "-- no-transaction" line`);
+      }
+      scripts.push({
+        name,
+        sql,
+        transaction,
+        checksum: crypto.createHash('sha256').update(sql).digest('hex')
+      });
+    }
+  }
+  return scripts;
+}
+
+/**
+ * Apply the init scripts a PostgreSQL database has not seen yet, in order
+ * Each script runs in its own transaction together with its row in
+ * INIT_SCRIPTS_TABLE; a `-- no-transaction` script runs as sent and is
+ * recorded once it succeeds. A script edited after it was applied stops the
+ * run before anything executes. `provider` supplies `runSql` and `querySql`.
+ */
+async function applyInitScripts(provider, connection, scripts) {
+  const table = pgIdentifier(INIT_SCRIPTS_TABLE);
+  await provider.runSql(connection, [
+    `CREATE TABLE IF NOT EXISTS ${table} (name text PRIMARY KEY, checksum text NOT NULL, applied_at timestamptz NOT NULL DEFAULT now())`
+  ]);
+  const applied = new Map((await provider.querySql(connection, `SELECT name, checksum FROM ${table}`))
+    .map(row => [row.name, row.checksum]));
+
+  const edited = scripts.filter(script => applied.has(script.name) && applied.get(script.name) !== script.checksum);
+  if (edited.length > 0) {
+    throw new Error(
+      `Init scripts changed after they were applied: ${edited.map(script => script.name).join(', ')}. ` +
+      'Add a new script instead of editing an applied one'
+    );
+  }
+
+  for (const script of scripts) {
+    if (applied.has(script.name)) {
+      sendMessage('info', `Init script ${script.name}: already applied`);
+      continue;
+    }
+    const started = Date.now();
+    const record = `INSERT INTO ${table} (name, checksum) VALUES (${pgLiteral(script.name)}, ${pgLiteral(script.checksum)})`;
+    try {
+      await provider.runSql(connection, script.transaction ? ['BEGIN', script.sql, record, 'COMMIT'] : [script.sql]);
+    } catch (error) {
+      const outcome = script.transaction ? 'was rolled back' : 'ran without a transaction, so its earlier statements may have been applied';
+      throw new Error(`Init script ${script.name} failed and ${outcome}: ${error.message}`);
+    }
+    if (!script.transaction) {
+      await provider.runSql(connection, [record]);
+    }
+    sendMessage('info', `Init script ${script.name}: applied in ${Date.now() - started} ms`);
+  }
+}
+
+/**
+ * Options whose values need more than a type check, with their parsers
+ * Each parser gets the value and all options.
+ */
+const OPTION_PARSERS = {
+  env_mapping: parseEnvMapping,
+  extensions: parseExtensions,
+  server_parameters: parseServerParameters,
+  init_scripts: (value, options) => readInitScripts(value, projectDirectory(options))
+};
+
+/**
+ * Naming rules for options that name resources or logins, other than server_name
+ * (whose rule depends on the resource type; see the providers' `nameRule`)
+ */
+const NAMING_RULES = {
+  resource_group: {
+    pattern: /^[-\w.()]{0,89}[-\w()]$/,
+    description: '1-90 letters, digits, underscores, hyphens, periods and parentheses, not ending in a period'
+  },
+  key_vault: {
+    pattern: /^(?!.*--)[a-zA-Z][a-zA-Z0-9-]{1,22}[a-zA-Z0-9]$/,
+    description: '3-24 letters, digits and hyphens, starting with a letter, ending with a letter or digit, without consecutive hyphens'
+  },
+  // Valid unquoted in both PostgreSQL and MySQL; MySQL user names stop at 32
+  app_role: {
+    pattern: /^[a-z_][a-z0-9_]{0,31}$/,
+    description: '1-32 lowercase letters, digits and underscores, not starting with a digit'
+  },
+  entra_admin: {
+    pattern: /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/,
+    description: 'an object ID, e.g. 00000000-0000-0000-0000-000000000000'
+  }
+};
+
+/**
+ * Check option values against metadata parameters and convert them to their types
+ * Returns the converted values of the options that were set, and one message
+ * per violation so they can all be reported together. Empty strings count as
+ * not set. `rules` maps option names to naming rules.
+ */
+function validateOptions(parameters, options, rules = {}) {
+  const values = {};
+  const errors = [];
+
+  for (const parameter of parameters) {
+    const { name } = parameter;
+    const value = options[name];
+    if (value === undefined || value === null || value === '') {
+      if (parameter.required) errors.push(`${name} is required`);
+      continue;
+    }
+
+    if (parameter.type === 'integer') {
+      if (!/^-?\d+$/.test(String(value))) {
+        errors.push(`Invalid ${name}: ${value} (expected an integer)`);
+        continue;
+      }
+      values[name] = Number(value);
+      if (parameter.minimum !== undefined && values[name] < parameter.minimum) {
+        errors.push(`Invalid ${name}: ${value} (must be at least ${parameter.minimum})`);
+      }
+    } else if (parameter.type === 'boolean') {
+      if (![true, false, 'true', 'false'].includes(value)) {
+        errors.push(`Invalid ${name}: ${value} (expected true or false)`);
+        continue;
+      }
+      values[name] = value === true || value === 'true';
+    } else {
+      values[name] = String(value);
+      if (parameter.enum && !parameter.enum.split(',').includes(values[name])) {
+        errors.push(`Invalid ${name}: ${value} (expected ${parameter.enum.split(',').join(', ')})`);
+      }
+      const rule = rules[name];
+      if (rule && !rule.pattern.test(values[name])) {
+        errors.push(`Invalid ${name}: ${value} (${rule.description})`);
+      }
+    }
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Validate options for `up` or `down`, throwing one error that lists every violation
+ * server_name is checked against the provider's naming rule; the local
+ * backend has none, as it names its container after the service. `formats`
+ * must be ones the provider's `connectionEngine` supports, and `auth_mode`
+ * one of its `authModes` (password only by default).
+ */
+function checkOptions(command, options, Provider) {
+  const { parameters } = providerMetadata()[command];
+  const { values, errors } = validateOptions(parameters, options, { ...NAMING_RULES, server_name: Provider.nameRule });
+
+  const authModes = Provider.authModes || ['password'];
+  if (values.auth_mode && !authModes.includes(values.auth_mode)) {
+    errors.push(`Invalid auth_mode: ${values.auth_mode} (${Provider.displayName} supports ${authModes.join(', ')})`);
+  }
+  if (values.formats) {
+    const supported = Object.keys(CONNECTION_FORMATS[Provider.connectionEngine] || {});
+    const unsupported = parseList(values.formats).filter(format => !supported.includes(format));
+    if (unsupported.length > 0) {
+      errors.push(`Invalid formats: ${unsupported.join(', ')} (${Provider.displayName} supports ${supported.join(', ') || 'none'})`);
+    }
+    if (supported.includes('dsn') && parseList(values.formats).includes('dsn') && GO_DSN_UNSAFE.test(values.database_name || '')) {
+      errors.push(`Invalid database_name: ${values.database_name} (the dsn format cannot carry '/', '?' or '%')`);
+    }
+  }
+  for (const [name, parse] of Object.entries(OPTION_PARSERS)) {
+    try {
+      if (values[name]) parse(values[name], values);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
+  if (errors.length === 1) {
+    throw new Error(errors[0]);
+  }
+  if (errors.length > 1) {
+    throw new Error(`${errors.length} invalid options: ${errors.join('; ')}`);
+  }
+  return values;
+}
+
+/**
+ * Fill in server_name when the compose file leaves it out
+ * `up` and `down` generate the same name from the project and service, so
+ * they agree without it; the local backend does not use server_name.
+ */
+function applyDefaultServerName(options, Provider, subscriptionId, project, service) {
+  if (options.server_name || !Provider.nameRule) return;
+  options.server_name = Provider.generateName(subscriptionId, project, service);
+  sendMessage('info', `Using generated server_name ${options.server_name} for ${project}/${service}`);
+}
+
+/**
+ * ARM error codes with a known cause, and the fix to suggest for them
+ */
+const AZURE_ERROR_HINTS = [
+  {
+    codes: ['ServerNameAlreadyExists', 'NameNotAvailable', 'NameAlreadyExists', 'StorageAccountAlreadyTaken', 'StorageAccountAlreadyExists'],
+    hint: () => 'The name is already taken; these names are global across Azure, so choose a different server_name'
+  },
+  {
+    codes: ['RegionDoesNotAllowProvisioning', 'LocationIsOfferRestricted', 'ProvisioningDisabled', 'AllocationFailed', 'ZonalAllocationFailed'],
+    hint: () => 'The region has no capacity for this resource or is restricted for your subscription; choose another location or request access in the Azure portal'
+  },
+  {
+    codes: ['SkuNotAvailable', 'SkuNotSupported', 'InvalidSku', 'UnsupportedSku'],
+    hint: () => 'The SKU is not offered in this region; choose another sku or location (`az postgres flexible-server list-skus --location <location>` lists them for PostgreSQL)'
+  },
+  {
+    codes: ['MissingSubscriptionRegistration', 'SubscriptionNotRegistered', 'NoRegisteredProviderFound'],
+    hint: error => {
+      const match = /namespace '([^']+)'/i.exec(error.message);
+      return `Register the resource provider with \`az provider register --namespace ${match ? match[1] : '<namespace>'}\`, then try again`;
+    }
+  },
+  {
+    codes: ['QuotaExceeded', 'SubscriptionQuotaExceeded'],
+    hint: () => 'The subscription quota for this resource is used up; delete unused resources or request a quota increase in the Azure portal'
+  },
+  {
+    codes: ['AuthorizationFailed', 'LinkedAuthorizationFailed'],
+    hint: () => 'The signed-in identity lacks permission; it needs the Contributor role on the subscription or resource group'
+  },
+  {
+    codes: ['InvalidAuthenticationToken', 'ExpiredAuthenticationToken', 'CredentialUnavailableError', 'AuthenticationRequiredError'],
+    hint: () => 'Sign in again with `az login`, or check AZURE_TENANT_ID, AZURE_CLIENT_ID and AZURE_CLIENT_SECRET'
+  },
+  {
+    codes: ['SubscriptionNotFound', 'InvalidSubscriptionId'],
+    hint: () => 'Check AZURE_SUBSCRIPTION_ID and that the signed-in identity can access that subscription'
+  }
+];
+
+/**
+ * The error message plus a suggested fix for errors with a known cause
+ * Failed long-running operations carry their ARM error code only in the
+ * message ("The long-running operation has failed. <code>. <message>").
+ */
+function describeAzureError(error) {
+  const lroCode = /long-running operation has failed\. (\w+)\./.exec(error.message);
+  const code = error.code || (lroCode && lroCode[1]) || error.name;
+  const known = AZURE_ERROR_HINTS.find(entry => entry.codes.includes(code));
+  if (known) {
+    return `${error.message} (${code}). ${known.hint(error)}`;
+  }
+  if (error.statusCode === 429 || error.statusCode >= 500) {
+    return `${error.message} (HTTP ${error.statusCode}, still failing after retries). Azure is throttling requests or temporarily unavailable; try again in a few minutes`;
+  }
+  return error.message;
+}
+
+/**
+ * Pre-flight error for a name Azure reports as taken or invalid
+ */
+function nameTakenError(name, reason) {
+  return new Error(
+    `Pre-flight check failed: the name ${name} is not available${reason ? ` (${reason})` : ''}. ` +
+    `These names are global across Azure; choose a different server_name`
+  );
+}
+
+/**
+ * Pre-flight error for a setting `location` doesn't offer, listing what it does
+ */
+function notOfferedError(setting, value, location, available) {
+  const alternatives = available.length > 0 ? ` (available: ${available.join(', ')})` : '';
+  return new Error(
+    `Pre-flight check failed: ${setting} ${value} is not offered in ${location}${alternatives}. ` +
+    `Choose another ${setting} or location`
+  );
+}
+
+/**
+ * Capabilities Azure lists but reports as disabled for this subscription are not offered
+ */
+function offered(capabilities) {
+  return capabilities.filter(capability => capability.status !== 'Disabled');
+}
+
+/**
+ * Format a duration in milliseconds as e.g. "4m 05s"
+ */
+function formatElapsed(ms) {
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+}
+
+/**
+ * Prefix of the firewall rules the plugin manages on flexible servers
+ */
+const FIREWALL_RULE_PREFIX = 'compose-';
+
+/**
+ * Firewall rules created by earlier versions of the plugin
+ * AllowAll opened the server to every IPv4 address and is removed on the next up
+ */
+const LEGACY_FIREWALL_RULES = ['AllowAll', 'AllowAllAzureIps'];
+
+/**
+ * Convert an IPv4 address or CIDR block to a firewall start/end range
+ */
+function cidrToRange(cidr) {
+  const match = /^(\d{1,3}(?:\.\d{1,3}){3})(?:\/(\d{1,2}))?$/.exec(cidr.trim());
+  const octets = match ? match[1].split('.').map(Number) : [];
+  const prefix = match && match[2] !== undefined ? Number(match[2]) : 32;
+  if (!match || octets.some(octet => octet > 255) || prefix > 32) {
+    throw new Error(`Invalid IP range: ${cidr}. Expected an IPv4 address or CIDR block such as 203.0.113.0/24`);
+  }
+
+  const address = octets.reduce((value, octet) => value * 256 + octet, 0);
+  const size = 2 ** (32 - prefix);
+  const start = Math.floor(address / size) * size;
+  const toIp = value => [24, 16, 8, 0].map(shift => Math.floor(value / 2 ** shift) % 256).join('.');
+
+  return { startIpAddress: toIp(start), endIpAddress: toIp(start + size - 1) };
+}
+
+/**
+ * Look up the public IP address this machine connects from
+ */
+async function detectPublicIp() {
+  const response = await fetch(process.env.DOCKER_AZURE_IP_LOOKUP_URL || 'https://api.ipify.org', {
+    signal: AbortSignal.timeout(5000)
+  });
+  if (!response.ok) {
+    throw new Error(`IP lookup returned HTTP ${response.status}`);
+  }
+  return (await response.text()).trim();
+}
+
+/**
+ * Build the firewall rules requested by the network access options, keyed by rule name
+ * With `sql_access` set, `up` itself connects to the server, so a failed IP
+ * lookup is an error unless allowed_ip_ranges lists this machine instead.
+ */
+async function desiredFirewallRules({ allowed_ip_ranges, allow_azure_services, detect_public_ip, sql_access = false }) {
+  const rules = {};
+
+  if (detect_public_ip) {
+    try {
+      const ip = await detectPublicIp();
+      rules[`${FIREWALL_RULE_PREFIX}client-ip`] = cidrToRange(ip);
+      sendMessage('debug', `Detected public IP address: ${ip}`);
+    } catch (error) {
+      if (sql_access && parseList(allowed_ip_ranges).length === 0) {
+        throw new Error(
+          `Could not detect public IP address (${error.message}), and up must connect to the server to set up the database. ` +
+          'Set allowed_ip_ranges to allow this machine'
+        );
+      }
+      sendMessage('info', `Could not detect public IP address (${error.message}); set allowed_ip_ranges to allow this machine`);
+    }
+  }
+
+  for (const cidr of parseList(allowed_ip_ranges)) {
+    const range = cidrToRange(cidr);
+    const name = `${FIREWALL_RULE_PREFIX}${range.startIpAddress}-${range.endIpAddress}`.replace(/\./g, '_');
+    rules[name] = range;
+  }
+
+  // 0.0.0.0-0.0.0.0 is Azure's convention for "allow Azure services"
+  if (allow_azure_services) {
+    rules[`${FIREWALL_RULE_PREFIX}azure-services`] = { startIpAddress: '0.0.0.0', endIpAddress: '0.0.0.0' };
+  }
+
+  return rules;
+}
+
+/**
+ * API version used to delete network resources by ID
+ * NetworkManagementClient pins a version per operation rather than per client.
+ */
+const NETWORK_API_VERSION = '2024-05-01';
+
+/**
+ * Service a subnet must be delegated to before a PostgreSQL server can use it
+ */
+const POSTGRES_SUBNET_DELEGATION = 'Microsoft.DBforPostgreSQL/flexibleServers';
+
+/**
+ * Child resource types Azure will not delete together with their parent
+ */
+const DELETE_BEFORE_PARENT = ['microsoft.network/privatednszones/virtualnetworklinks'];
+
+/**
+ * Map a PostgreSQL Flexible Server SKU name to its pricing tier
+ */
+function postgresSkuTier(sku) {
+  return sku.startsWith('Standard_B') ? 'Burstable' : 'GeneralPurpose';
+}
+
+/**
+ * Map a MySQL Flexible Server SKU name to its pricing tier
+ */
+function mysqlSkuTier(sku) {
+  if (sku.startsWith('Standard_B')) return 'Burstable';
+  if (sku.startsWith('Standard_E')) return 'MemoryOptimized';
+  return 'GeneralPurpose';
+}
+
+/**
+ * Provider classes keyed by the `resource` option
+ */
+const PROVIDERS = {
+  postgres: AzurePostgresProvider,
+  mysql: AzureMySQLProvider,
+  redis: AzureRedisProvider,
+  storage: AzureStorageProvider,
+  servicebus: AzureServiceBusProvider,
+  cosmos: AzureCosmosProvider
+};
+
+/**
+ * Provider classes for `backend: local`, keyed by the `resource` option
+ */
+const LOCAL_PROVIDERS = {
+  postgres: LocalPostgresProvider
+};
+
+/**
+ * Resolve the backend and provider class for a resource type
+ * Exits with an error message when the combination is not supported.
+ */
+function resolveProvider(resource, backend) {
+  if (!['azure', 'local'].includes(backend)) {
+    sendMessage('error', `Unsupported backend: ${backend}. Supported backends: azure, local`);
+    process.exit(1);
+  }
+
+  const providers = backend === 'local' ? LOCAL_PROVIDERS : PROVIDERS;
+  const Provider = providers[resource];
+  if (!Provider) {
+    sendMessage('error', `Unsupported resource type: ${resource}${backend === 'local' ? ' for the local backend' : ''}. Supported types: ${Object.keys(providers).join(', ')}`);
+    process.exit(1);
+  }
+  return Provider;
+}
+
+/**
+ * Send JSON message to Docker Compose
+ */
+function sendMessage(type, message) {
+  console.log(JSON.stringify({ type, message }));
+}
+
+/**
+ * Handle compose up command
+ */
+async function handleUp(serviceName, options) {
+  try {
+    sendMessage('debug', `Starting provisioning for service: ${serviceName}`);
+
+    const resource = options.resource || options.type || 'postgres';
+    const backend = options.backend || process.env.DOCKER_AZURE_BACKEND || 'azure';
+    const Provider = resolveProvider(resource, backend);
+    // Typed values; options without a default stay undefined when not set, so
+    // existing servers are only reconciled on explicit options
+    const values = checkOptions('up', options, Provider);
+    
+    const subscriptionId = process.env.AZURE_SUBSCRIPTION_ID;
+    if (!subscriptionId && backend === 'azure') {
+      sendMessage('error', 'AZURE_SUBSCRIPTION_ID environment variable is required');
+      process.exit(1);
+    }
+
+    const provisionOptions = { ...options, ...values };
+
+    const projectName = options.projectName || 'default';
+    applyDefaultServerName(provisionOptions, Provider, subscriptionId, projectName, serviceName);
+    delete provisionOptions.projectName;
+    delete provisionOptions.dryRun;
+    delete provisionOptions.timeout_minutes;
+    // Remembered in the ledger so `down` uses the same backend and cloud
+    provisionOptions.backend = backend;
+    if (backend === 'azure') {
+      provisionOptions.cloud = resolveCloud(options.cloud).name;
+    }
+    const ledger = new StateLedger();
+
+    const entry = ledger.get(projectName, serviceName);
+    const context = {
+      project: projectName,
+      service: serviceName,
+      cloud: provisionOptions.cloud,
+      pending: entry && entry.pending
+    };
+
+    if (backend === 'azure') {
+      sendMessage('info', `Authenticating with Azure (${provisionOptions.cloud})...`);
+    }
+    const provider = new Provider(subscriptionId, context);
+
+    if (options.dryRun) {
+      sendMessage('info', `Dry run: planning ${Provider.displayName} without changing anything`);
+      const steps = await provider.plan(provisionOptions);
+      if (provisionOptions.key_vault) {
+        steps.push({ action: 'change', type: 'Key Vault secrets', name: provisionOptions.key_vault });
+      }
+      reportPlan(steps);
+      process.exit(0);
+    }
+    
+    // Record what was created (or is still being created) even if provisioning stops part-way
+    const recordProgress = () => {
+      const pending = provider.pendingOperations;
+      if (provider.created.length > 0 || (pending && Object.keys(pending).length > 0)) {
+        ledger.record(projectName, serviceName, resource, provisionOptions, provider.created, pending);
+      }
+    };
+
+    // Stop waiting on Ctrl-C, SIGTERM or timeout; in-flight operations are
+    // kept in the ledger so the next `up` resumes them. Cancelling takes effect
+    // at the next wait for Azure, so a second signal exits right away.
+    let timeout;
+    let onSignal;
+    if (backend === 'azure') {
+      const timeoutMinutes = values.timeout_minutes || 60;
+      timeout = setTimeout(() => provider.cancel(`timed out after ${timeoutMinutes} minutes`), timeoutMinutes * 60 * 1000);
+      onSignal = signal => {
+        if (provider.abortController.signal.aborted) {
+          recordProgress();
+          process.exit(128 + os.constants.signals[signal]);
+        }
+        sendMessage('info', `Received ${signal}, stopping at the next wait for Azure; send it again to exit now`);
+        provider.cancel(`received ${signal}`);
+      };
+      process.on('SIGINT', onSignal);
+      process.on('SIGTERM', onSignal);
+    }
+
+    sendMessage('info', `Provisioning ${Provider.displayName}${backend === 'azure' ? ' (this may take 5-10 minutes)' : ''}...`);
+    let connectionInfo;
+    try {
+      connectionInfo = await provider.provision(provisionOptions);
+    } catch (error) {
+      recordProgress();
+      throw error;
+    } finally {
+      clearTimeout(timeout);
+      if (onSignal) {
+        process.removeListener('SIGINT', onSignal);
+        process.removeListener('SIGTERM', onSignal);
+      }
+    }
+    ledger.record(projectName, serviceName, resource, provisionOptions, provider.created, provider.pendingOperations);
+
+    sendMessage('info', `${Provider.displayName} provisioned successfully`);
+
+    // Optionally keep the generated secrets in Key Vault as well
+    if (provisionOptions.key_vault && backend === 'local') {
+      sendMessage('info', `Ignoring key_vault: secrets are not stored in Key Vault for the local backend`);
+    } else if (provisionOptions.key_vault) {
+      const keyVault = new AzureKeyVault(subscriptionId, context);
+      try {
+        Object.assign(connectionInfo, await keyVault.storeSecrets(provisionOptions, connectionInfo));
+      } finally {
+        ledger.record(projectName, serviceName, resource, provisionOptions, keyVault.created);
+      }
+    }
+    
+    // Send environment variables using setenv messages
+    Object.entries(applyEnvMapping(connectionInfo, provisionOptions.env_mapping)).forEach(([key, value]) => {
+      sendMessage('setenv', `${key}=${value}`);
+    });
+
+    sendMessage('debug', 'Provisioning completed');
+    process.exit(0);
+  } catch (error) {
+    sendMessage('error', `Failed to provision: ${describeAzureError(error)}`);
+    sendMessage('debug', error.stack);
+    process.exit(1);
+  }
+}
+
+/**
+ * Format a server setting change as "field: current -> requested"
+ */
+function formatChange(change) {
+  return `${change.field}: ${change.current} -> ${change.requested}`;
+}
+
+/**
+ * Report dry-run plan steps as info messages, followed by a summary
+ */
+function reportPlan(steps) {
+  for (const step of steps) {
+    const detail = step.detail ? ` (${step.detail})` : '';
+    sendMessage('info', `Plan: ${step.action} ${step.type} ${step.name}${detail}`);
+    for (const change of step.changes || []) {
+      const refused = change.refused ? ` (refused: ${change.refused}; up will fail)` : '';
+      sendMessage('info', `Plan:   ${formatChange(change)}${refused}`);
+    }
+  }
+
+  const count = action => steps.filter(step => step.action === action).length;
+  sendMessage('info', `Plan: ${count('create')} to create, ${count('change')} to change, ${count('reuse')} to reuse, ${count('delete')} to delete`);
+}
+
+/**
+ * Handle compose down command
+ */
+async function handleDown(serviceName, options) {
+  try {
+    sendMessage('debug', `Starting deprovisioning for service: ${serviceName}`);
+
+    // Prefer what the ledger says `up` created over the current compose file
+    const projectName = options.projectName || 'default';
+    const ledger = new StateLedger();
+    const entry = ledger.get(projectName, serviceName);
+    if (entry) {
+      sendMessage('debug', `Using state ledger entry for ${projectName}/${serviceName} (${entry.resources.length} resource(s))`);
+    }
+
+    const resource = entry ? entry.resource : options.resource || options.type || 'postgres';
+    const backend = (entry && entry.options && entry.options.backend) ||
+      options.backend || process.env.DOCKER_AZURE_BACKEND || 'azure';
+    const Provider = resolveProvider(resource, backend);
+    // The ledger's options were checked on up; they may supply server_name
+    const values = checkOptions('down', { ...options, ...(entry ? entry.options : {}) }, Provider);
+    
+    const subscriptionId = process.env.AZURE_SUBSCRIPTION_ID;
+    if (!subscriptionId && backend === 'azure') {
+      sendMessage('error', 'AZURE_SUBSCRIPTION_ID environment variable is required');
+      process.exit(1);
+    }
+
+    const deprovisionOptions = {
+      ...options,
+      ...(entry ? entry.options : {}),
+      ...values
+    };
+    applyDefaultServerName(deprovisionOptions, Provider, subscriptionId, projectName, serviceName);
+    const context = { project: projectName, service: serviceName, cloud: deprovisionOptions.cloud };
+
+    if (options.dryRun) {
+      sendMessage('info', 'Dry run: planning deprovisioning without changing anything');
+      const steps = new Provider(subscriptionId, context).planDeprovision(deprovisionOptions, entry);
+      if (deprovisionOptions.key_vault && backend === 'azure') {
+        const detail = deprovisionOptions.purge_secrets ? 'purged' : 'soft-deleted';
+        steps.unshift({ action: 'delete', type: 'Key Vault secrets', name: deprovisionOptions.key_vault, detail });
+      }
+      reportPlan(steps);
+      process.exit(0);
+    }
+
+    sendMessage('info', `Deprovisioning ${backend === 'local' ? 'local' : 'Azure'} resources...`);
+
+    // Secrets go first, the ledger may also hold the vault itself
+    if (deprovisionOptions.key_vault && backend === 'azure') {
+      const keyVault = new AzureKeyVault(subscriptionId, context);
+      await keyVault.deleteSecrets(deprovisionOptions);
+    }
+
+    const provider = new Provider(subscriptionId, context);
+    await provider.deprovision(deprovisionOptions, entry);
+    if (entry) {
+      ledger.remove(projectName, serviceName);
+    }
+
+    sendMessage('info', 'Resources deprovisioned successfully');
+    process.exit(0);
+  } catch (error) {
+    sendMessage('error', `Failed to deprovision: ${describeAzureError(error)}`);
+    sendMessage('debug', error.stack);
+    process.exit(1);
+  }
+}
+
+/**
+ * Find the resources tagged as managed by the plugin and describe them
+ */
+async function findManagedResources(subscriptionId, { project, service, cloud } = {}, dependencies = {}) {
+  const { resourceClient, credential } = new AzureProvider(subscriptionId, { cloud }, dependencies);
+  const providers = {};
+  const rows = [];
+
+  for await (const resource of resourceClient.resources.list({
+    filter: "tagName eq 'managed_by' and tagValue eq 'docker-compose'",
+    expand: 'createdTime,provisioningState'
+  })) {
+    const tags = resource.tags || {};
+    if (project && tags.compose_project !== project) continue;
+    if (service && tags.compose_service !== service) continue;
+
+    const resourceName = Object.keys(PROVIDERS).find(
+      key => PROVIDERS[key].resourceType.toLowerCase() === resource.type.toLowerCase()
+    );
+    if (!resourceName) continue; // e.g. Key Vaults holding secrets
+
+    providers[resourceName] = providers[resourceName] || new PROVIDERS[resourceName](subscriptionId, { cloud }, { ...dependencies, credential });
+    const details = await providers[resourceName].describe(resource);
+    const createdAt = tags.created_at || (resource.createdTime && resource.createdTime.toISOString());
+
+    rows.push({
+      project: tags.compose_project || '-',
+      service: tags.compose_service || '-',
+      resource: resourceName,
+      name: resource.name,
+      ...details,
+      region: resource.location,
+      created: createdAt || '-'
+    });
+  }
+
+  return rows;
+}
+
+/**
+ * Print managed resources as JSON or as an aligned table
+ */
+function printResources(rows, format) {
+  if (format === 'json') {
+    console.log(JSON.stringify(rows, null, 2));
+    return;
+  }
+
+  if (rows.length === 0) {
+    console.log('No managed resources found');
+    return;
+  }
+
+  const columns = ['project', 'service', 'resource', 'name', 'state', 'sku', 'storage', 'version', 'region', 'created'];
+  const widths = columns.map(column => Math.max(column.length, ...rows.map(row => String(row[column]).length)));
+  const line = values => values.map((value, i) => String(value).padEnd(widths[i])).join('  ').trimEnd();
+
+  console.log(line(columns.map(column => column.toUpperCase())));
+  rows.forEach(row => console.log(line(columns.map(column => row[column]))));
+}
+
+/**
+ * Handle status command
+ */
+async function handleStatus(serviceName, options) {
+  try {
     const subscriptionId = process.env.AZURE_SUBSCRIPTION_ID;
     if (!subscriptionId) {
-      sendMessage('error', 'AZURE_SUBSCRIPTION_ID environment variable is required');
-      process.exit(1);
-    }
-
-    const resource = options.resource || options.type || 'postgres';
-    
-    if (resource !== 'postgres') {
-      sendMessage('error', `Unsupported resource type: ${resource}. Currently only 'postgres' is supported.`);
+      console.error('AZURE_SUBSCRIPTION_ID environment variable is required');
       process.exit(1);
     }
 
-    // Convert string parameters to proper types
-    const provisionOptions = {
-      ...options,
-      storage_mb: parseInt(options.storage_mb) || 32768,
-      backup_retention_days: parseInt(options.backup_retention_days) || 7,
-      geo_redundant_backup: options.geo_redundant_backup === 'true' || options.geo_redundant_backup === true
-    };
-
-    sendMessage('info', 'Authenticating with Azure...');
-    const provider = new AzurePostgresProvider(subscriptionId);
-    
-    sendMessage('info', 'Provisioning PostgreSQL server (this may take 5-10 minutes)...');
-    const connectionInfo = await provider.provision(provisionOptions);
-
-    sendMessage('info', 'PostgreSQL server provisioned successfully');
-    
-    // Send environment variables using setenv messages
-    Object.entries(connectionInfo).forEach(([key, value]) => {
-      sendMessage('setenv', `${key}=${value}`);
+    const rows = await findManagedResources(subscriptionId, {
+      project: options.projectName,
+      service: serviceName,
+      cloud: options.cloud
     });
-
-    sendMessage('debug', 'Provisioning completed');
+    printResources(rows, options.format);
     process.exit(0);
   } catch (error) {
-    sendMessage('error', `Failed to provision: ${error.message}`);
-    sendMessage('debug', error.stack);
+    console.error(`Failed to get status: ${describeAzureError(error)}`);
     process.exit(1);
   }
 }
 
 /**
- * Handle compose down command
+ * Handle list command
  */
-async function handleDown(serviceName, options) {
+async function handleList(options) {
   try {
-    sendMessage('debug', `Starting deprovisioning for service: ${serviceName}`);
-    
     const subscriptionId = process.env.AZURE_SUBSCRIPTION_ID;
     if (!subscriptionId) {
-      sendMessage('error', 'AZURE_SUBSCRIPTION_ID environment variable is required');
+      console.error('AZURE_SUBSCRIPTION_ID environment variable is required');
       process.exit(1);
     }
 
-    sendMessage('info', 'Deprovisioning Azure resources...');
-    const provider = new AzurePostgresProvider(subscriptionId);
-    await provider.deprovision(options);
-
-    sendMessage('info', 'Resources deprovisioned successfully');
+    const rows = await findManagedResources(subscriptionId, { project: options.projectName, cloud: options.cloud });
+    printResources(rows, options.format);
     process.exit(0);
   } catch (error) {
-    sendMessage('error', `Failed to deprovision: ${error.message}`);
-    sendMessage('debug', error.stack);
+    console.error(`Failed to list resources: ${describeAzureError(error)}`);
     process.exit(1);
   }
 }
 
 /**
- * Handle metadata command
+ * Options accepted by up and down, as published by `metadata`
+ * Options are validated against these parameters before anything else runs.
  */
-function handleMetadata() {
-  const metadata = {
+function providerMetadata() {
+  return {
     description: "Manage Azure services (PostgreSQL, MySQL, etc.)",
     up: {
       parameters: [
         {
           name: "resource",
-          description: "Azure resource type (postgres, mysql)",
+          description: `Azure resource type (${Object.keys(PROVIDERS).join(', ')})`,
           required: true,
           type: "string",
-          enum: "postgres"
+          enum: Object.keys(PROVIDERS).join(',')
+        },
+        {
+          name: "backend",
+          description: "Where to run the resource: azure, or local (Docker container; postgres only). Defaults to $DOCKER_AZURE_BACKEND or azure",
+          required: false,
+          type: "string",
+          enum: "azure,local",
+          default: "azure"
+        },
+        {
+          name: "cloud",
+          description: "Azure cloud: AzureCloud, AzureUSGovernment or AzureChinaCloud. Defaults to $AZURE_CLOUD or AzureCloud",
+          required: false,
+          type: "string",
+          enum: Object.keys(AZURE_CLOUDS).join(','),
+          default: "AzureCloud"
         },
         {
           name: "server_name",
-          description: "Globally unique server name",
-          required: true,
+          description: "Globally unique server, cache, account or namespace name; must follow the Azure naming rule for the resource type (storage: 3-24 lowercase letters and digits). Generated from the project and service names and a hash of the subscription when omitted",
+          required: false,
           type: "string"
         },
         {
@@ -349,6 +4452,7 @@ function handleMetadata() {
           description: "Azure resource group name",
           required: false,
           type: "string",
+          pattern: NAMING_RULES.resource_group.pattern.source,
           default: "docker-compose-rg"
         },
         {
@@ -360,16 +4464,17 @@ function handleMetadata() {
         },
         {
           name: "sku",
-          description: "Pricing tier (e.g., Standard_B1ms, Standard_D2s_v3)",
+          description: "Pricing tier (postgres: Standard_B1ms, Standard_D2s_v3, Standard_E2s_v3; mysql: Standard_B1ms, Standard_B2s, Standard_D2ds_v4, Standard_E2ds_v4; redis: Basic, Standard, Premium; storage: Standard_LRS, Standard_ZRS, Standard_GRS; servicebus: Basic, Standard, Premium)",
           required: false,
           type: "string",
-          default: "Standard_B1ms"
+          default: "Standard_B1ms (postgres, mysql), Basic (redis), Standard_LRS (storage), Standard (servicebus)"
         },
         {
           name: "storage_mb",
           description: "Storage size in megabytes",
           required: false,
           type: "integer",
+          minimum: 1,
           default: "32768"
         },
         {
@@ -377,6 +4482,7 @@ function handleMetadata() {
           description: "Number of days to retain backups",
           required: false,
           type: "integer",
+          minimum: 1,
           default: "7"
         },
         {
@@ -393,21 +4499,332 @@ function handleMetadata() {
           type: "string",
           default: "dbadmin"
         },
+        {
+          name: "auth_mode",
+          description: "How apps sign in: password, entra (Microsoft Entra ID tokens only) or both (postgres only)",
+          required: false,
+          type: "string",
+          enum: "password,entra,both",
+          default: "password"
+        },
+        {
+          name: "entra_admin",
+          description: "Object ID of the user, group or managed identity to register as Microsoft Entra administrator (postgres only, default: the signed-in principal)",
+          required: false,
+          type: "string",
+          pattern: NAMING_RULES.entra_admin.pattern.source
+        },
+        {
+          name: "entra_admin_name",
+          description: "Name of entra_admin: user principal name, group name or managed identity name (postgres only)",
+          required: false,
+          type: "string"
+        },
+        {
+          name: "entra_admin_type",
+          description: "Principal type of entra_admin: User, Group or ServicePrincipal (managed identities and apps) (postgres only)",
+          required: false,
+          type: "string",
+          enum: "User,Group,ServicePrincipal",
+          default: "ServicePrincipal"
+        },
+        {
+          name: "entra_app_principal",
+          description: "Name of the managed identity, app or group apps sign in as with auth_mode entra or both; up maps it to a role with the application role's privileges (postgres only)",
+          required: false,
+          type: "string"
+        },
+        {
+          name: "app_role",
+          description: "Login role created for the consuming service with privileges on the database only (postgres, mysql; default: <database_name>_app)",
+          required: false,
+          type: "string",
+          pattern: NAMING_RULES.app_role.pattern.source
+        },
+        {
+          name: "expose_admin",
+          description: "Also send the administrator login as ADMIN_USER, ADMIN_PASSWORD and ADMIN_URL (postgres, mysql); required for private servers, which get no application role",
+          required: false,
+          type: "boolean",
+          default: "false"
+        },
+        {
+          name: "rotate_credentials",
+          description: "Give the application role a new password (postgres, mysql)",
+          required: false,
+          type: "boolean",
+          default: "false"
+        },
         {
           name: "version",
-          description: "PostgreSQL version",
+          description: "Server version (postgres: 11, 12, 13, 14, 15, 16; mysql: 5.7, 8.0.21)",
+          required: false,
+          type: "string",
+          default: "14 (postgres), 8.0.21 (mysql)"
+        },
+        {
+          name: "allowed_ip_ranges",
+          description: "Comma-separated IPv4 addresses or CIDR blocks allowed through the firewall (postgres, mysql)",
+          required: false,
+          type: "string"
+        },
+        {
+          name: "allow_azure_services",
+          description: "Allow connections from Azure services (postgres, mysql)",
+          required: false,
+          type: "boolean",
+          default: "false"
+        },
+        {
+          name: "detect_public_ip",
+          description: "Detect this machine's public IP address and allow it through the firewall (postgres, mysql)",
+          required: false,
+          type: "boolean",
+          default: "true"
+        },
+        {
+          name: "local_network",
+          description: "Docker network the local container joins (local backend only, default: <project>_default)",
+          required: false,
+          type: "string"
+        },
+        {
+          name: "network_mode",
+          description: "Network access: public (firewall rules) or private (VNet integration, no public endpoint) (postgres only)",
+          required: false,
+          type: "string",
+          enum: "public,private",
+          default: "public"
+        },
+        {
+          name: "vnet_name",
+          description: "Virtual network for private access; created if missing (postgres only, default: <server_name>-vnet)",
+          required: false,
+          type: "string"
+        },
+        {
+          name: "vnet_resource_group",
+          description: "Resource group of the virtual network (postgres only, default: resource_group)",
+          required: false,
+          type: "string"
+        },
+        {
+          name: "vnet_address_prefix",
+          description: "Address space of a newly created virtual network (postgres only)",
+          required: false,
+          type: "string",
+          default: "10.0.0.0/16"
+        },
+        {
+          name: "subnet_name",
+          description: "Subnet delegated to Microsoft.DBforPostgreSQL/flexibleServers; created if missing (postgres only)",
+          required: false,
+          type: "string",
+          default: "postgres"
+        },
+        {
+          name: "subnet_address_prefix",
+          description: "Address prefix of a newly created subnet (postgres only)",
+          required: false,
+          type: "string",
+          default: "10.0.0.0/24"
+        },
+        {
+          name: "private_dns_zone",
+          description: "Private DNS zone linked to the virtual network (postgres only, default: <server_name>.private.postgres.database.azure.com)",
+          required: false,
+          type: "string"
+        },
+        {
+          name: "extensions",
+          description: "Comma-separated extensions to allow-list and create in the database, e.g. pgvector,postgis,pg_trgm (postgres only)",
+          required: false,
+          type: "string"
+        },
+        {
+          name: "server_parameters",
+          description: "Comma-separated name=value server parameters, e.g. max_connections=200,log_min_duration_statement=500; the server restarts when a static one changes (postgres only)",
+          required: false,
+          type: "string"
+        },
+        {
+          name: "init_scripts",
+          description: "Comma-separated .sql files or directories, relative to the project directory, applied once each in order after the database is created (postgres only)",
+          required: false,
+          type: "string"
+        },
+        {
+          name: "project_dir",
+          description: "Compose project directory that init_scripts are relative to (default: $COMPOSE_PROJECT_DIR or the current directory)",
+          required: false,
+          type: "string"
+        },
+        {
+          name: "charset",
+          description: "Database character set (mysql only)",
+          required: false,
+          type: "string",
+          default: "utf8mb4"
+        },
+        {
+          name: "collation",
+          description: "Database collation (mysql only)",
+          required: false,
+          type: "string",
+          default: "utf8mb4_general_ci"
+        },
+        {
+          name: "capacity",
+          description: "Cache size within the SKU family (redis only; 0-6 for Basic/Standard, 1-5 for Premium)",
+          required: false,
+          type: "integer",
+          minimum: 0,
+          default: "0 (Basic, Standard), 1 (Premium)"
+        },
+        {
+          name: "enable_non_ssl_port",
+          description: "Enable the non-TLS port 6379 (redis only)",
+          required: false,
+          type: "boolean",
+          default: "false"
+        },
+        {
+          name: "redis_version",
+          description: "Redis version (redis only; 4, 6)",
+          required: false,
+          type: "string",
+          default: "6"
+        },
+        {
+          name: "containers",
+          description: "Comma-separated blob containers (storage) or <name>:<partition key> containers/collections (cosmos)",
+          required: false,
+          type: "string"
+        },
+        {
+          name: "public_access",
+          description: "Anonymous access level for the containers (storage only)",
+          required: false,
+          type: "string",
+          enum: "none,blob,container",
+          default: "none"
+        },
+        {
+          name: "queues",
+          description: "Comma-separated queue names to create (servicebus only)",
+          required: false,
+          type: "string"
+        },
+        {
+          name: "topics",
+          description: "Comma-separated topic names to create (servicebus only)",
+          required: false,
+          type: "string"
+        },
+        {
+          name: "subscriptions",
+          description: "Comma-separated topic subscriptions as <topic>/<subscription> (servicebus only)",
+          required: false,
+          type: "string"
+        },
+        {
+          name: "access_rights",
+          description: "Rights granted by the shared access policy: Send, Listen (servicebus only)",
+          required: false,
+          type: "string",
+          default: "Send,Listen"
+        },
+        {
+          name: "api",
+          description: "Cosmos DB API (cosmos only)",
+          required: false,
+          type: "string",
+          enum: "sql,mongo",
+          default: "sql"
+        },
+        {
+          name: "consistency_level",
+          description: "Default consistency level (cosmos only)",
+          required: false,
+          type: "string",
+          enum: "Eventual,ConsistentPrefix,Session,BoundedStaleness,Strong",
+          default: "Session"
+        },
+        {
+          name: "capacity_mode",
+          description: "Serverless or provisioned throughput (cosmos only)",
+          required: false,
+          type: "string",
+          enum: "serverless,provisioned",
+          default: "serverless"
+        },
+        {
+          name: "throughput",
+          description: "Shared database throughput in RU/s when capacity_mode is provisioned (cosmos only)",
+          required: false,
+          type: "integer",
+          minimum: 1,
+          default: "400"
+        },
+        {
+          name: "key_vault",
+          description: "Key Vault to create or reuse for storing the generated password and connection URL as secrets",
           required: false,
           type: "string",
-          default: "14"
+          pattern: NAMING_RULES.key_vault.pattern.source
+        },
+        {
+          name: "formats",
+          description: "Comma-separated extra connection formats: jdbc (JDBC_URL), dotnet (DOTNET_CONNECTION_STRING), libpq (PGHOST, PGPORT, PGDATABASE, PGUSER, PGPASSWORD, PGSSLMODE; postgres only), dsn (DSN) (postgres, mysql)",
+          required: false,
+          type: "string"
+        },
+        {
+          name: "env_mapping",
+          description: "Comma-separated KEY=NEW_NAME entries renaming the variables sent to dependent services; only listed keys are sent unless the list includes *",
+          required: false,
+          type: "string"
+        },
+        {
+          name: "timeout_minutes",
+          description: "Stop waiting for Azure after this many minutes; the next up resumes waiting for operations still running",
+          required: false,
+          type: "integer",
+          minimum: 1,
+          default: "60"
         }
       ]
     },
     down: {
       parameters: [
+        {
+          name: "resource",
+          description: `Azure resource type (${Object.keys(PROVIDERS).join(', ')})`,
+          required: false,
+          type: "string",
+          enum: Object.keys(PROVIDERS).join(','),
+          default: "postgres"
+        },
+        {
+          name: "backend",
+          description: "Where to run the resource: azure, or local (Docker container; postgres only). Defaults to $DOCKER_AZURE_BACKEND or azure",
+          required: false,
+          type: "string",
+          enum: "azure,local",
+          default: "azure"
+        },
+        {
+          name: "cloud",
+          description: "Azure cloud: AzureCloud, AzureUSGovernment or AzureChinaCloud. Defaults to $AZURE_CLOUD or AzureCloud",
+          required: false,
+          type: "string",
+          enum: Object.keys(AZURE_CLOUDS).join(','),
+          default: "AzureCloud"
+        },
         {
           name: "server_name",
-          description: "Name of the server to delete",
-          required: true,
+          description: "Name of the server to delete (default: the recorded or generated name, as on up)",
+          required: false,
           type: "string"
         },
         {
@@ -415,13 +4832,46 @@ function handleMetadata() {
           description: "Azure resource group name",
           required: false,
           type: "string",
+          pattern: NAMING_RULES.resource_group.pattern.source,
           default: "docker-compose-rg"
+        },
+        {
+          name: "containers",
+          description: "Comma-separated blob container names (storage only)",
+          required: false,
+          type: "string"
+        },
+        {
+          name: "delete_account",
+          description: "Delete the whole storage account; when false only the listed containers are deleted (storage only)",
+          required: false,
+          type: "boolean",
+          default: "true"
+        },
+        {
+          name: "key_vault",
+          description: "Key Vault holding the secrets written on up; they are soft-deleted",
+          required: false,
+          type: "string",
+          pattern: NAMING_RULES.key_vault.pattern.source
+        },
+        {
+          name: "purge_secrets",
+          description: "Purge the Key Vault secrets instead of soft-deleting them",
+          required: false,
+          type: "boolean",
+          default: "false"
         }
       ]
     }
   };
+}
 
-  console.log(JSON.stringify(metadata, null, 2));
+/**
+ * Handle metadata command
+ */
+function handleMetadata() {
+  console.log(JSON.stringify(providerMetadata(), null, 2));
   process.exit(0);
 }
 
@@ -442,18 +4892,63 @@ composeCmd
   .description('Provision an Azure resource')
   .allowUnknownOption()  // Allow unknown options like --project-name
   .option('--project-name <name>', 'Compose project name')
-  .option('--resource <type>', 'Resource type (postgres, mysql)', 'postgres')
+  .option('--resource <type>', 'Resource type (postgres, mysql, redis, storage, servicebus, cosmos)', 'postgres')
   .option('--type <type>', 'Alias for --resource')
-  .option('--server_name <name>', 'Server name (required)')
+  .option('--backend <backend>', 'Backend: azure, local (default: $DOCKER_AZURE_BACKEND or azure)')
+  .option('--cloud <name>', 'Azure cloud: AzureCloud, AzureUSGovernment, AzureChinaCloud (default: $AZURE_CLOUD or AzureCloud)')
+  .option('--server_name <name>', 'Server name (default: generated from project and service)')
   .option('--database_name <name>', 'Database name', 'defaultdb')
   .option('--resource_group <name>', 'Resource group', process.env.AZURE_RESOURCE_GROUP || 'docker-compose-rg')
   .option('--location <region>', 'Azure region', process.env.AZURE_LOCATION || 'eastus')
-  .option('--sku <tier>', 'Pricing tier', 'Standard_B1ms')
-  .option('--storage_mb <size>', 'Storage size in MB', '32768')
-  .option('--backup_retention_days <days>', 'Backup retention days', '7')
-  .option('--geo_redundant_backup <bool>', 'Geo-redundant backup', 'false')
+  .option('--sku <tier>', 'Pricing tier (postgres/mysql: Standard_B1ms, redis: Basic, storage: Standard_LRS, servicebus: Standard)')
+  .option('--storage_mb <size>', 'Storage size in MB (default: 32768)')
+  .option('--backup_retention_days <days>', 'Backup retention days (default: 7)')
+  .option('--geo_redundant_backup <bool>', 'Geo-redundant backup (default: false)')
   .option('--admin_username <username>', 'Admin username', 'dbadmin')
-  .option('--version <version>', 'PostgreSQL version', '14')
+  .option('--auth_mode <mode>', 'Sign-in: password, entra, both (postgres)')
+  .option('--entra_admin <object-id>', 'Microsoft Entra administrator (postgres; default: signed-in principal)')
+  .option('--entra_admin_name <name>', 'Name of the Entra administrator (postgres)')
+  .option('--entra_admin_type <type>', 'User, Group or ServicePrincipal (postgres)')
+  .option('--entra_app_principal <name>', 'Entra identity apps sign in as (postgres)')
+  .option('--app_role <name>', 'Application login role (postgres, mysql; default: <database_name>_app)')
+  .option('--expose_admin <bool>', 'Also send the admin login as ADMIN_* (postgres, mysql)', 'false')
+  .option('--rotate_credentials <bool>', 'New password for the application role (postgres, mysql)', 'false')
+  .option('--version <version>', 'Server version (postgres: 14, mysql: 8.0.21)')
+  .option('--allowed_ip_ranges <cidrs>', 'Comma-separated IPs/CIDR blocks to allow (postgres, mysql)')
+  .option('--allow_azure_services <bool>', 'Allow Azure services (postgres, mysql)', 'false')
+  .option('--detect_public_ip <bool>', 'Allow this machine\'s public IP (postgres, mysql)', 'true')
+  .option('--local_network <name>', 'Docker network for the local container (local backend)')
+  .option('--network_mode <mode>', 'Network access: public, private (postgres)', 'public')
+  .option('--vnet_name <name>', 'Virtual network for private access (postgres)')
+  .option('--vnet_resource_group <name>', 'Resource group of the virtual network (postgres)')
+  .option('--vnet_address_prefix <cidr>', 'Address space of a new virtual network (postgres)')
+  .option('--subnet_name <name>', 'Delegated subnet (postgres)')
+  .option('--subnet_address_prefix <cidr>', 'Address prefix of a new subnet (postgres)')
+  .option('--private_dns_zone <zone>', 'Private DNS zone linked to the virtual network (postgres)')
+  .option('--extensions <names>', 'Comma-separated extensions to create (postgres)')
+  .option('--server_parameters <settings>', 'Comma-separated name=value server parameters (postgres)')
+  .option('--init_scripts <paths>', 'Comma-separated .sql files or directories to apply once (postgres)')
+  .option('--project_dir <dir>', 'Compose project directory that init_scripts are relative to')
+  .option('--charset <charset>', 'Database charset (mysql)')
+  .option('--collation <collation>', 'Database collation (mysql)')
+  .option('--capacity <size>', 'Cache capacity (redis)')
+  .option('--enable_non_ssl_port <bool>', 'Enable non-TLS port (redis)', 'false')
+  .option('--redis_version <version>', 'Redis version (redis)')
+  .option('--containers <names>', 'Comma-separated blob containers (storage) or <name>:<partition key> (cosmos)')
+  .option('--public_access <level>', 'Container public access: none, blob, container (storage)', 'none')
+  .option('--queues <names>', 'Comma-separated queues (servicebus)')
+  .option('--topics <names>', 'Comma-separated topics (servicebus)')
+  .option('--subscriptions <names>', 'Comma-separated <topic>/<subscription> pairs (servicebus)')
+  .option('--access_rights <rights>', 'Shared access policy rights (servicebus)', 'Send,Listen')
+  .option('--api <api>', 'Cosmos DB API: sql, mongo (cosmos)', 'sql')
+  .option('--consistency_level <level>', 'Default consistency level (cosmos)', 'Session')
+  .option('--capacity_mode <mode>', 'serverless or provisioned (cosmos)', 'serverless')
+  .option('--throughput <rus>', 'Provisioned throughput in RU/s (cosmos)', '400')
+  .option('--key_vault <name>', 'Key Vault to store generated secrets in')
+  .option('--formats <formats>', 'Extra connection formats: jdbc, dotnet, libpq, dsn (postgres, mysql)')
+  .option('--env_mapping <mapping>', 'KEY=NEW_NAME renames for the injected variables; * keeps the rest')
+  .option('--timeout_minutes <minutes>', 'Stop waiting for Azure after this many minutes (default: 60)')
+  .option('--dry-run', 'Show what would be created, reused or changed without changing anything')
   .action(handleUp);
 
 composeCmd
@@ -461,8 +4956,17 @@ composeCmd
   .description('Deprovision an Azure resource')
   .allowUnknownOption()  // Allow unknown options
   .option('--project-name <name>', 'Compose project name')
-  .option('--server_name <name>', 'Server name (required)')
+  .option('--resource <type>', 'Resource type (postgres, mysql, redis, storage, servicebus, cosmos)', 'postgres')
+  .option('--type <type>', 'Alias for --resource')
+  .option('--backend <backend>', 'Backend: azure, local (default: $DOCKER_AZURE_BACKEND or azure)')
+  .option('--cloud <name>', 'Azure cloud: AzureCloud, AzureUSGovernment, AzureChinaCloud (default: $AZURE_CLOUD or AzureCloud)')
+  .option('--server_name <name>', 'Server name (default: generated from project and service)')
   .option('--resource_group <name>', 'Resource group', process.env.AZURE_RESOURCE_GROUP || 'docker-compose-rg')
+  .option('--containers <names>', 'Comma-separated blob containers (storage)')
+  .option('--delete_account <bool>', 'Delete the whole storage account (storage)', 'true')
+  .option('--key_vault <name>', 'Key Vault holding the generated secrets')
+  .option('--purge_secrets <bool>', 'Purge Key Vault secrets instead of soft-deleting', 'false')
+  .option('--dry-run', 'Show what would be deleted without changing anything')
   .action(handleDown);
 
 composeCmd
@@ -475,6 +4979,22 @@ program
   .description('Get provider metadata (for direct calls)')
   .action(handleMetadata);
 
+program
+  .command('status <service-name>')
+  .description('Show the Azure resources managed for a Compose service')
+  .option('--project-name <name>', 'Compose project name')
+  .option('--format <format>', 'Output format (table, json)', 'table')
+  .option('--cloud <name>', 'Azure cloud (default: $AZURE_CLOUD or AzureCloud)')
+  .action(handleStatus);
+
+program
+  .command('list')
+  .description('List the Azure resources managed by the plugin')
+  .option('--project-name <name>', 'Only show resources of this Compose project')
+  .option('--format <format>', 'Output format (table, json)', 'table')
+  .option('--cloud <name>', 'Azure cloud (default: $AZURE_CLOUD or AzureCloud)')
+  .action(handleList);
+
 // Preprocess arguments to handle Docker Compose's option format
 // Docker Compose sends: compose --project-name=dc up --option=value service
 // Commander expects: compose up --project-name=dc --option=value service
@@ -497,18 +5017,57 @@ function preprocessArgs(args) {
   const command = args[commandIndex];
   const after = args.slice(commandIndex + 1);
   
-  // Filter out compose-level options (like --project-name)
-  const composeLevelOptions = before.filter(arg => !arg.startsWith('--project-name'));
+  // Move --project-name and --dry-run after the command so the up/down handlers receive them
+  const composeLevelOptions = [];
+  const projectOptions = [];
+  for (let i = 0; i < before.length; i++) {
+    if (before[i] === '--project-name') {
+      projectOptions.push(before[i], before[i + 1]);
+      i++;
+    } else if (before[i].startsWith('--project-name=') || before[i] === '--dry-run') {
+      projectOptions.push(before[i]);
+    } else {
+      composeLevelOptions.push(before[i]);
+    }
+  }
   
-  // Return: [compose-level] + [command] + [all options] + [after]
-  return [...composeLevelOptions, command, ...after];
+  // Return: [compose-level] + [command] + [project name] + [after]
+  return [...composeLevelOptions, command, ...(command === 'metadata' ? [] : projectOptions), ...after];
 }
 
-// Parse arguments
-const processedArgs = preprocessArgs(process.argv.slice(2));
-program.parse([process.argv[0], process.argv[1], ...processedArgs]);
+module.exports = {
+  AzureProvider,
+  AzurePostgresProvider,
+  AzureMySQLProvider,
+  AzureRedisProvider,
+  AzureStorageProvider,
+  AzureServiceBusProvider,
+  AzureCosmosProvider,
+  AzureKeyVault,
+  LocalPostgresProvider,
+  CredentialStore,
+  StateLedger,
+  PROVIDERS,
+  LOCAL_PROVIDERS,
+  AZURE_CLOUDS,
+  applyEnvMapping,
+  armClientOptions,
+  cidrToRange,
+  deletionOrder,
+  describeAzureError,
+  findManagedResources,
+  generatePassword,
+  preprocessArgs
+};
 
-// If no command is provided, show help
-if (!process.argv.slice(2).length) {
-  program.outputHelp();
+// Only run the CLI when executed directly, not when required (e.g. by tests)
+if (require.main === module) {
+  // Parse arguments
+  const processedArgs = preprocessArgs(process.argv.slice(2));
+  program.parse([process.argv[0], process.argv[1], ...processedArgs]);
+
+  // If no command is provided, show help
+  if (!process.argv.slice(2).length) {
+    program.outputHelp();
+  }
 }
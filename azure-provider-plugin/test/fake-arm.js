@@ -0,0 +1,272 @@
+/**
+ * In-memory fake of the Azure Resource Manager REST API
+ *
+ * Implements the HttpClient interface of @azure/core-rest-pipeline, so ARM
+ * clients created with `{ endpoint: FAKE_ARM_ENDPOINT, httpClient: fakeArm }`
+ * talk to it instead of Azure. Resources are stored by ARM ID; PUT creates or
+ * replaces, PATCH merges, DELETE removes a resource and its children, and GET
+ * on a collection lists its direct children. POST .../checkNameAvailability
+ * reports a name as taken when a resource of that type and name exists in
+ * any resource group; POST .../restart succeeds for existing resources, and
+ * POST .../listKeys returns fixed keys. Operations complete on the
+ * first response, except PUTs made slow with `slowNext`, which report
+ * progress through an Azure-AsyncOperation URL like ARM does.
+ */
+
+const FAKE_ARM_ENDPOINT = 'https://arm.fake.local';
+
+/**
+ * Minimal HttpHeaders implementation for fake responses
+ */
+class FakeHeaders {
+  constructor(headers = {}) {
+    this.headers = new Map(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value)]));
+  }
+
+  get(name) {
+    return this.headers.get(name.toLowerCase());
+  }
+
+  has(name) {
+    return this.headers.has(name.toLowerCase());
+  }
+
+  set(name, value) {
+    this.headers.set(name.toLowerCase(), String(value));
+  }
+
+  delete(name) {
+    this.headers.delete(name.toLowerCase());
+  }
+
+  toJSON() {
+    return Object.fromEntries(this.headers);
+  }
+
+  [Symbol.iterator]() {
+    return this.headers.entries();
+  }
+}
+
+class FakeArm {
+  constructor() {
+    this.resources = new Map();
+    this.requests = [];
+    this.failures = [];
+    this.slow = [];
+    this.operations = new Map();
+  }
+
+  /**
+   * Make the next PUT matching `pattern` a long-running operation that stays
+   * InProgress for `polls` status requests
+   */
+  slowNext(pattern, polls) {
+    this.slow.push({ pattern, polls });
+  }
+
+  /**
+   * Let every running operation succeed on its next status request
+   */
+  completeOperations() {
+    for (const operation of this.operations.values()) {
+      operation.polls = 0;
+    }
+  }
+
+  /**
+   * Fail the next request matching `method` and `pattern` (tested against the path)
+   */
+  failNext(method, pattern, status, code = 'Conflict') {
+    this.failures.push({ method, pattern, status, code });
+  }
+
+  /**
+   * Store a resource as if it already existed in Azure
+   */
+  seed(id, resource = {}) {
+    return this.store(id, resource);
+  }
+
+  /**
+   * Return the stored resource with this ID, or undefined
+   */
+  get(id) {
+    return this.resources.get(id.toLowerCase());
+  }
+
+  /**
+   * IDs of all stored resources, in creation order
+   */
+  ids() {
+    return [...this.resources.values()].map(resource => resource.id);
+  }
+
+  /**
+   * Requests sent so far, as "METHOD /path"
+   */
+  calls(method) {
+    return this.requests.filter(request => !method || request.method === method).map(request => `${request.method} ${request.path}`);
+  }
+
+  async sendRequest(request) {
+    const url = new URL(request.url);
+    // Delete-by-ID requests arrive as //subscriptions/..., which ARM accepts
+    const path = decodeURIComponent(url.pathname).replace(/\/{2,}/g, '/').replace(/\/$/, '');
+    const body = request.body ? JSON.parse(request.body) : undefined;
+    this.requests.push({ method: request.method, path, url: request.url, body });
+
+    const failure = this.failures.findIndex(f => f.method === request.method && f.pattern.test(path));
+    if (failure !== -1) {
+      const { status, code } = this.failures.splice(failure, 1)[0];
+      // ARM throttling responses always say when to retry
+      const headers = status === 429 ? { 'retry-after': '0' } : {};
+      return this.respond(request, status, { error: { code, message: `Injected ${status} for ${request.method} ${path}` } }, headers);
+    }
+
+    const operation = /^\/fakeOperations\/(\d+)$/.exec(path);
+    if (operation) {
+      return this.pollOperation(request, Number(operation[1]));
+    }
+
+    const existing = this.get(path);
+    switch (request.method) {
+      case 'GET':
+        if (existing) return this.respond(request, 200, existing);
+        if (isCollection(path)) return this.respond(request, 200, { value: this.list(path) });
+        return this.notFound(request, path);
+
+      case 'PUT': {
+        const slow = this.slow.findIndex(s => s.pattern.test(path));
+        if (slow !== -1) {
+          const { polls } = this.slow.splice(slow, 1)[0];
+          const id = this.operations.size + 1;
+          this.operations.set(id, { path, polls });
+          return this.respond(request, 201, this.store(path, body, 'Creating'), {
+            'azure-asyncoperation': `${FAKE_ARM_ENDPOINT}/fakeOperations/${id}`,
+            'retry-after': '0'
+          });
+        }
+        // Some clients (e.g. Service Bus entities) accept only 200 for a synchronous create
+        return this.respond(request, 200, this.store(path, body));
+      }
+
+      case 'PATCH':
+        if (!existing) return this.notFound(request, path);
+        return this.respond(request, 200, this.store(path, {
+          ...existing,
+          ...body,
+          properties: { ...existing.properties, ...(body && body.properties) },
+          tags: body && body.tags ? body.tags : existing.tags
+        }));
+
+      case 'DELETE':
+        for (const key of [...this.resources.keys()]) {
+          if (key === path.toLowerCase() || key.startsWith(`${path.toLowerCase()}/`)) {
+            this.resources.delete(key);
+          }
+        }
+        return this.respond(request, existing ? 200 : 204);
+
+      case 'POST':
+        if (/\/checkNameAvailability$/i.test(path)) {
+          return this.respond(request, 200, this.nameAvailability(body));
+        }
+        if (/\/listKeys$/i.test(path)) {
+          return this.respond(request, 200, { primaryKey: 'fake-key', primaryConnectionString: 'Endpoint=sb://fake/;SharedAccessKey=fake-key' });
+        }
+        if (/\/restart$/i.test(path)) {
+          return this.get(path.replace(/\/restart$/i, '')) ? this.respond(request, 200) : this.notFound(request, path);
+        }
+        return this.respond(request, 501, { error: { code: 'NotImplemented', message: `${request.method} ${path}` } });
+
+      default:
+        return this.respond(request, 501, { error: { code: 'NotImplemented', message: `${request.method} ${path}` } });
+    }
+  }
+
+  nameAvailability({ name, type }) {
+    const taken = [...this.resources.values()].some(resource =>
+      resource.name.toLowerCase() === name.toLowerCase() &&
+      (!type || resource.type.toLowerCase() === type.toLowerCase()));
+    return taken
+      ? { nameAvailable: false, reason: 'AlreadyExists', message: `The name ${name} is already in use` }
+      : { nameAvailable: true };
+  }
+
+  /**
+   * Status of a slow operation; the resource is marked Succeeded when it finishes
+   */
+  pollOperation(request, id) {
+    const operation = this.operations.get(id);
+    if (operation.polls > 0) {
+      operation.polls--;
+      return this.respond(request, 200, { status: 'InProgress' }, { 'retry-after': '0' });
+    }
+    const resource = this.get(operation.path);
+    resource.properties.provisioningState = 'Succeeded';
+    return this.respond(request, 200, { status: 'Succeeded' });
+  }
+
+  store(id, resource = {}, provisioningState = 'Succeeded') {
+    const stored = {
+      ...resource,
+      id,
+      name: id.split('/').pop(),
+      type: resourceType(id),
+      properties: { ...resource.properties, provisioningState }
+    };
+    this.resources.set(id.toLowerCase(), stored);
+    return stored;
+  }
+
+  /**
+   * Direct children of a collection path; `.../resourceGroups/x/resources`
+   * lists the top-level resources of a group like ARM does
+   */
+  list(path) {
+    const lower = path.toLowerCase();
+    const groupResources = /^(\/subscriptions\/[^/]+\/resourcegroups\/[^/]+)\/resources$/.exec(lower);
+    return [...this.resources.values()].filter(resource => {
+      const id = resource.id.toLowerCase();
+      if (groupResources) {
+        return id.startsWith(`${groupResources[1]}/providers/`) && id.split('/').length === 9;
+      }
+      return id.startsWith(`${lower}/`) && !id.slice(lower.length + 1).includes('/');
+    });
+  }
+
+  notFound(request, path) {
+    return this.respond(request, 404, { error: { code: 'ResourceNotFound', message: `${path} was not found` } });
+  }
+
+  respond(request, status, body, headers = {}) {
+    return {
+      request,
+      status,
+      headers: new FakeHeaders({ 'content-type': 'application/json', ...headers }),
+      bodyAsText: body === undefined ? '' : JSON.stringify(body)
+    };
+  }
+}
+
+/**
+ * ARM type of a resource ID, e.g. Microsoft.DBforPostgreSQL/flexibleServers/databases
+ */
+function resourceType(id) {
+  const segments = id.split('/').filter(Boolean);
+  if (segments.length === 4) return 'Microsoft.Resources/resourceGroups';
+  const types = segments.slice(6).filter((_, i) => i % 2 === 0);
+  return [segments[5], ...types].join('/');
+}
+
+/**
+ * Collections have an odd number of segments after /providers/<namespace>
+ */
+function isCollection(path) {
+  const segments = path.split('/').filter(Boolean);
+  if (segments.length === 5) return segments[4].toLowerCase() === 'resources';
+  return segments.length > 6 && (segments.length - 6) % 2 === 1;
+}
+
+module.exports = { FakeArm, FAKE_ARM_ENDPOINT };
@@ -0,0 +1,805 @@
+/**
+ * Provider tests against an in-memory fake of Azure Resource Manager
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FakeArm, FAKE_ARM_ENDPOINT } = require('./fake-arm');
+
+// Keep the plugin's credential store and state ledger out of the real home directory
+process.env.DOCKER_AZURE_STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'docker-azure-provider-test-'));
+
+const {
+  AzurePostgresProvider,
+  AzureMySQLProvider,
+  AzureRedisProvider,
+  AzureServiceBusProvider,
+  CredentialStore,
+  PROVIDERS,
+  applyEnvMapping,
+  describeAzureError
+} = require('../index.js');
+
+const SUBSCRIPTION_ID = '00000000-0000-0000-0000-000000000000';
+const RG = `/subscriptions/${SUBSCRIPTION_ID}/resourceGroups/test-rg`;
+const SERVER = `${RG}/providers/Microsoft.DBforPostgreSQL/flexibleServers/test-pg`;
+
+const fakeCredential = {
+  getToken: async () => ({ token: 'fake-token', expiresOnTimestamp: Date.now() + 3600 * 1000 })
+};
+
+const baseOptions = {
+  server_name: 'test-pg',
+  database_name: 'appdb',
+  resource_group: 'test-rg',
+  location: 'eastus',
+  detect_public_ip: false,
+  allowed_ip_ranges: '203.0.113.7'
+};
+
+/**
+ * Provider wired to `arm`, with its own credential store
+ * SQL is discarded unless `dependencies.sql` captures it.
+ */
+function createProvider(Provider, arm, credentialStore = new CredentialStore(fs.mkdtempSync(path.join(os.tmpdir(), 'docker-azure-creds-'))), context = {}, dependencies = {}) {
+  return new Provider(SUBSCRIPTION_ID, { project: 'test', service: 'db', ...context }, {
+    credential: fakeCredential,
+    clientOptions: { endpoint: FAKE_ARM_ENDPOINT, httpClient: arm },
+    credentialStore,
+    sql: async () => [],
+    ...dependencies
+  });
+}
+
+/**
+ * Silence the plugin's JSON protocol messages while `fn` runs
+ */
+async function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+console.log('========================================');
+console.log('Azure Provider Plugin Provider Tests');
+console.log('========================================\n');
+
+const tests = [];
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+// Test 1: First run creates everything and records it
+test('Postgres provision creates resource group, server, firewall rule and database', async () => {
+  const arm = new FakeArm();
+  const provider = createProvider(AzurePostgresProvider, arm);
+
+  const info = await quietly(() => provider.provision(baseOptions));
+
+  assert(arm.get(RG), 'Resource group should be created');
+  assert(arm.get(SERVER), 'Server should be created');
+  assert(arm.get(`${SERVER}/databases/appdb`), 'Database should be created');
+  assert(arm.get(`${SERVER}/firewallRules/compose-203_0_113_7-203_0_113_7`), 'Firewall rule should be created');
+  assert.strictEqual(arm.get(SERVER).tags.compose_service, 'db', 'Server should carry the compose tags');
+
+  assert.strictEqual(info.HOST, 'test-pg.postgres.database.azure.com');
+  assert.strictEqual(info.DATABASE, 'appdb');
+  assert.strictEqual(info.USER, 'appdb_app', 'The application role should be emitted');
+  assert.notStrictEqual(info.PASSWORD, arm.get(SERVER).properties.administratorLoginPassword, 'Administrator password should not be emitted');
+  assert.strictEqual(info.ADMIN_USER, undefined, 'Administrator login needs expose_admin');
+  assert.deepStrictEqual(
+    provider.created.map(item => item.type),
+    [
+      'Microsoft.Resources/resourceGroups',
+      'Microsoft.DBforPostgreSQL/flexibleServers',
+      'Microsoft.DBforPostgreSQL/flexibleServers/firewallRules',
+      'Microsoft.DBforPostgreSQL/flexibleServers/databases'
+    ],
+    'Created resources should be recorded in order'
+  );
+});
+
+// Test 2: Second run reuses the server and its stored credential
+test('Postgres provision reuses an existing server with the stored password', async () => {
+  const arm = new FakeArm();
+  const credentialStore = new CredentialStore(fs.mkdtempSync(path.join(os.tmpdir(), 'docker-azure-creds-')));
+  const first = await quietly(() => createProvider(AzurePostgresProvider, arm, credentialStore).provision(baseOptions));
+
+  const provider = createProvider(AzurePostgresProvider, arm, credentialStore);
+  const puts = arm.calls('PUT').length;
+  const second = await quietly(() => provider.provision(baseOptions));
+
+  assert.strictEqual(second.PASSWORD, first.PASSWORD, 'Password should be reused');
+  assert.strictEqual(arm.calls('PUT').length, puts + 1, 'Only the database should be PUT again');
+  assert.strictEqual(arm.calls('PATCH').length, 0, 'Server should not be updated');
+  assert.deepStrictEqual(provider.created, [], 'Nothing new should be recorded');
+});
+
+// Test 3: Losing the credential resets the password instead of emitting a wrong one
+test('Postgres provision resets the password when no credential is stored', async () => {
+  const arm = new FakeArm();
+  arm.seed(RG, { location: 'eastus' });
+  arm.seed(SERVER, { location: 'eastus', sku: { name: 'Standard_B1ms', tier: 'Burstable' }, properties: { administratorLogin: 'owner', version: '14' } });
+
+  const info = await quietly(() => createProvider(AzurePostgresProvider, arm).provision({ ...baseOptions, expose_admin: true }));
+
+  const patch = arm.requests.find(request => request.method === 'PATCH' && request.body.properties &&
+    request.body.properties.administratorLoginPassword);
+  assert(patch, 'Server should be patched');
+  assert.strictEqual(patch.body.properties.administratorLoginPassword, info.ADMIN_PASSWORD, 'New password should be emitted');
+  assert.strictEqual(info.ADMIN_USER, 'owner', 'Existing administrator login should be used');
+});
+
+// Test 4: 409 on an existing database is not an error
+test('Postgres provision ignores 409 for an existing database', async () => {
+  const arm = new FakeArm();
+  arm.failNext('PUT', /\/databases\/appdb$/, 409);
+
+  const info = await quietly(() => createProvider(AzurePostgresProvider, arm).provision(baseOptions));
+  assert.strictEqual(info.DATABASE, 'appdb');
+});
+
+// Test 5: Other errors propagate and stop provisioning
+test('Postgres provision surfaces non-404 errors from servers.get', async () => {
+  const arm = new FakeArm();
+  arm.failNext('GET', /\/flexibleServers\/test-pg$/, 403, 'AuthorizationFailed');
+
+  await assert.rejects(
+    () => quietly(() => createProvider(AzurePostgresProvider, arm).provision(baseOptions)),
+    error => error.statusCode === 403
+  );
+  assert(!arm.get(SERVER), 'Server should not be created');
+});
+
+// Test 6: Drift is applied in place, impossible changes are refused
+test('Postgres provision scales an existing server and refuses shrinking storage', async () => {
+  const arm = new FakeArm();
+  const credentialStore = new CredentialStore(fs.mkdtempSync(path.join(os.tmpdir(), 'docker-azure-creds-')));
+  await quietly(() => createProvider(AzurePostgresProvider, arm, credentialStore).provision({ ...baseOptions, storage_mb: 65536 }));
+
+  await quietly(() => createProvider(AzurePostgresProvider, arm, credentialStore).provision({ ...baseOptions, sku: 'Standard_D2s_v3' }));
+  assert.strictEqual(arm.get(SERVER).sku.name, 'Standard_D2s_v3', 'SKU should be updated');
+  assert.strictEqual(arm.get(SERVER).sku.tier, 'GeneralPurpose', 'Tier should follow the SKU');
+
+  const patches = arm.calls('PATCH').length;
+  await assert.rejects(
+    () => quietly(() => createProvider(AzurePostgresProvider, arm, credentialStore).provision({ ...baseOptions, storage_mb: 32768 })),
+    /storage cannot be shrunk/
+  );
+  assert.strictEqual(arm.calls('PATCH').length, patches, 'Nothing should be updated after a refusal');
+});
+
+// Test 7: Stale plugin firewall rules are removed, others kept
+test('Firewall reconciliation removes AllowAll but keeps user rules', async () => {
+  const arm = new FakeArm();
+  arm.seed(RG, { location: 'eastus' });
+  arm.seed(SERVER, { location: 'eastus', sku: { name: 'Standard_B1ms', tier: 'Burstable' }, properties: { administratorLogin: 'dbadmin', version: '14' } });
+  arm.seed(`${SERVER}/firewallRules/AllowAll`, { properties: { startIpAddress: '0.0.0.0', endIpAddress: '255.255.255.255' } });
+  arm.seed(`${SERVER}/firewallRules/office`, { properties: { startIpAddress: '198.51.100.1', endIpAddress: '198.51.100.1' } });
+
+  await quietly(() => createProvider(AzurePostgresProvider, arm).provision(baseOptions));
+
+  assert(!arm.get(`${SERVER}/firewallRules/AllowAll`), 'AllowAll should be removed');
+  assert(arm.get(`${SERVER}/firewallRules/office`), 'User rule should be kept');
+});
+
+// Test 8: Deprovision deletes exactly what the ledger recorded
+test('Deprovision deletes recorded resources and the empty resource group', async () => {
+  const arm = new FakeArm();
+  const provider = createProvider(AzurePostgresProvider, arm);
+  await quietly(() => provider.provision(baseOptions));
+  const entry = { resources: provider.created };
+
+  await quietly(() => createProvider(AzurePostgresProvider, arm).deprovision(baseOptions, entry));
+
+  assert.deepStrictEqual(arm.ids(), [], 'Everything should be deleted');
+  assert(!arm.calls('DELETE').some(call => call.includes('/databases/')), 'Database should go with its server');
+});
+
+// Test 9: Pre-existing resources survive down
+test('Deprovision keeps a server that existed before up', async () => {
+  const arm = new FakeArm();
+  arm.seed(RG, { location: 'eastus' });
+  arm.seed(SERVER, { location: 'eastus', sku: { name: 'Standard_B1ms', tier: 'Burstable' }, properties: { administratorLogin: 'dbadmin', version: '14' } });
+  const provider = createProvider(AzurePostgresProvider, arm);
+  await quietly(() => provider.provision(baseOptions));
+
+  await quietly(() => createProvider(AzurePostgresProvider, arm).deprovision(baseOptions, { resources: provider.created }));
+
+  assert(arm.get(SERVER), 'Server should be kept');
+  assert(arm.get(RG), 'Resource group should be kept');
+  assert(!arm.get(`${SERVER}/databases/appdb`), 'Database created by up should be deleted');
+});
+
+// Test 10: Without a ledger entry down falls back to deleting the server
+test('Deprovision without a ledger entry deletes server_name', async () => {
+  const arm = new FakeArm();
+  arm.seed(RG, { location: 'eastus' });
+  arm.seed(SERVER, { location: 'eastus' });
+
+  await quietly(() => createProvider(AzurePostgresProvider, arm).deprovision(baseOptions));
+
+  assert(!arm.get(SERVER), 'Server should be deleted');
+  assert(arm.get(RG), 'Resource group should be kept');
+});
+
+// Test 11: MySQL follows the same create path
+test('MySQL provision creates a server and database on port 3306', async () => {
+  const arm = new FakeArm();
+  const info = await quietly(() => createProvider(AzureMySQLProvider, arm).provision({ ...baseOptions, server_name: 'test-mysql' }));
+
+  assert(arm.get(`${RG}/providers/Microsoft.DBforMySQL/flexibleServers/test-mysql/databases/appdb`), 'Database should be created');
+  assert.strictEqual(info.PORT, '3306');
+});
+
+// Test 12: AZURE_RESOURCE_MANAGER_ENDPOINT redirects every client
+test('AZURE_RESOURCE_MANAGER_ENDPOINT overrides the ARM endpoint', async () => {
+  const arm = new FakeArm();
+  process.env.AZURE_RESOURCE_MANAGER_ENDPOINT = FAKE_ARM_ENDPOINT;
+  try {
+    const provider = new AzurePostgresProvider(SUBSCRIPTION_ID, { project: 'test', service: 'db' }, {
+      credential: fakeCredential,
+      clientOptions: { httpClient: arm },
+      credentialStore: new CredentialStore(fs.mkdtempSync(path.join(os.tmpdir(), 'docker-azure-creds-'))),
+      sql: async () => []
+    });
+    await quietly(() => provider.provision(baseOptions));
+  } finally {
+    delete process.env.AZURE_RESOURCE_MANAGER_ENDPOINT;
+  }
+
+  assert(arm.requests.length > 0, 'Requests should reach the fake');
+  assert(arm.requests.every(request => request.url.startsWith(`${FAKE_ARM_ENDPOINT}/`)), 'All requests should use the endpoint');
+});
+
+// Test 13: Sovereign clouds use their own ARM audience and DNS suffixes
+test('Azure Government servers get usgovcloudapi.net hostnames', async () => {
+  const arm = new FakeArm();
+  const scopes = [];
+  const credential = { getToken: async scope => { scopes.push(...[].concat(scope)); return fakeCredential.getToken(); } };
+  const provider = new AzurePostgresProvider(SUBSCRIPTION_ID, { project: 'test', service: 'db', cloud: 'AzureUSGovernment' }, {
+    credential,
+    clientOptions: { endpoint: FAKE_ARM_ENDPOINT, httpClient: arm },
+    credentialStore: new CredentialStore(fs.mkdtempSync(path.join(os.tmpdir(), 'docker-azure-creds-'))),
+    sql: async () => []
+  });
+
+  const info = await quietly(() => provider.provision(baseOptions));
+
+  assert.strictEqual(info.HOST, 'test-pg.postgres.database.usgovcloudapi.net');
+  assert(scopes.length > 0 && scopes.every(scope => scope === 'https://management.usgovcloudapi.net/.default'), 'Tokens should be for the Government ARM audience');
+});
+
+// Test 14: A cancelled create is recorded and resumed, not sent twice
+test('Postgres provision resumes a server create it stopped waiting for', async () => {
+  const arm = new FakeArm();
+  const credentialStore = new CredentialStore(fs.mkdtempSync(path.join(os.tmpdir(), 'docker-azure-creds-')));
+  arm.slowNext(/\/flexibleServers\/test-pg$/, Infinity);
+
+  // Cancel as soon as the first status request goes out, like Ctrl-C during the wait
+  const first = createProvider(AzurePostgresProvider, arm, credentialStore);
+  const sendRequest = arm.sendRequest.bind(arm);
+  arm.sendRequest = async request => {
+    if (request.url.includes('/fakeOperations/')) first.cancel('received SIGINT');
+    return sendRequest(request);
+  };
+  await assert.rejects(
+    () => quietly(() => first.provision(baseOptions)),
+    /Stopped waiting for Creating PostgreSQL server test-pg: received SIGINT/
+  );
+  assert(first.created.some(item => item.id === SERVER), 'Server should be recorded for down');
+  assert(first.pendingOperations[SERVER.toLowerCase()], 'Operation should be left pending');
+
+  arm.sendRequest = sendRequest;
+  arm.completeOperations();
+  const puts = arm.calls('PUT').filter(call => call.endsWith('/flexibleServers/test-pg')).length;
+  const second = createProvider(AzurePostgresProvider, arm, credentialStore, { pending: first.pendingOperations });
+
+  const info = await quietly(() => second.provision(baseOptions));
+  assert.strictEqual(arm.calls('PUT').filter(call => call.endsWith('/flexibleServers/test-pg')).length, puts, 'Server should not be created twice');
+  assert.deepStrictEqual(second.pendingOperations, {}, 'Nothing should be pending');
+  assert.strictEqual(arm.get(SERVER).properties.provisioningState, 'Succeeded');
+  assert.strictEqual(info.HOST, 'test-pg.postgres.database.azure.com');
+});
+
+// Test 15: Taken names fail before anything is created
+test('Postgres provision checks name availability before creating anything', async () => {
+  const arm = new FakeArm();
+  arm.seed(`/subscriptions/${SUBSCRIPTION_ID}/resourceGroups/other-rg/providers/Microsoft.DBforPostgreSQL/flexibleServers/test-pg`, { location: 'eastus' });
+
+  await assert.rejects(
+    () => quietly(() => createProvider(AzurePostgresProvider, arm).provision(baseOptions)),
+    /Pre-flight check failed: the name test-pg is not available/
+  );
+  assert.strictEqual(arm.calls('PUT').length, 0, 'Nothing should be created');
+});
+
+// Test 16: SKUs the region doesn't offer fail before anything is created
+test('Postgres provision rejects a SKU the location does not offer', async () => {
+  const arm = new FakeArm();
+  arm.seed(`/subscriptions/${SUBSCRIPTION_ID}/providers/Microsoft.DBforPostgreSQL/locations/eastus/capabilities/default`, {
+    supportedServerEditions: [
+      { name: 'Burstable', supportedServerSkus: [{ name: 'Standard_B1ms' }], supportedStorageEditions: [{ supportedStorageMb: [{ storageSizeMb: 32768 }] }] },
+      { name: 'GeneralPurpose', supportedServerSkus: [{ name: 'Standard_D2s_v3', status: 'Disabled' }] }
+    ],
+    supportedServerVersions: [{ name: '14' }, { name: '16' }]
+  });
+
+  await assert.rejects(
+    () => quietly(() => createProvider(AzurePostgresProvider, arm).provision({ ...baseOptions, sku: 'Standard_D2s_v3' })),
+    /sku Standard_D2s_v3 is not offered in eastus \(available: Standard_B1ms\)/
+  );
+  await assert.rejects(
+    () => quietly(() => createProvider(AzurePostgresProvider, arm).provision({ ...baseOptions, version: '12' })),
+    /version 12 is not offered in eastus \(available: 14, 16\)/
+  );
+  assert.strictEqual(arm.calls('PUT').length, 0, 'Nothing should be created');
+
+  await quietly(() => createProvider(AzurePostgresProvider, arm).provision(baseOptions));
+  assert(arm.get(SERVER), 'Offered settings should pass');
+});
+
+// Test 17: Transient errors are retried
+test('Transient 503 and 429 responses are retried', async () => {
+  const arm = new FakeArm();
+  arm.failNext('PUT', /\/flexibleServers\/test-pg$/, 503, 'ServiceUnavailable');
+  arm.failNext('GET', /\/databases\/appdb$/, 429, 'TooManyRequests');
+  const provider = new AzurePostgresProvider(SUBSCRIPTION_ID, { project: 'test', service: 'db' }, {
+    credential: fakeCredential,
+    clientOptions: { endpoint: FAKE_ARM_ENDPOINT, httpClient: arm, retryOptions: { retryDelayInMs: 1, maxRetryDelayInMs: 1 } },
+    credentialStore: new CredentialStore(fs.mkdtempSync(path.join(os.tmpdir(), 'docker-azure-creds-'))),
+    sql: async () => []
+  });
+
+  await quietly(() => provider.provision(baseOptions));
+  assert(arm.get(SERVER), 'Server should be created after the retry');
+  assert.strictEqual(arm.calls('PUT').filter(call => call.endsWith('/flexibleServers/test-pg')).length, 2, 'Server PUT should be sent twice');
+});
+
+// Test 18: Known ARM error codes come with a suggested fix
+test('describeAzureError suggests fixes for known error codes', () => {
+  const unregistered = Object.assign(
+    new Error("The subscription is not registered to use namespace 'Microsoft.DBforPostgreSQL'."),
+    { code: 'MissingSubscriptionRegistration', statusCode: 409 }
+  );
+  assert(describeAzureError(unregistered).includes('az provider register --namespace Microsoft.DBforPostgreSQL'));
+
+  const restricted = new Error('The long-running operation has failed. LocationIsOfferRestricted. Subscriptions are restricted from provisioning in this region.');
+  assert(describeAzureError(restricted).includes('choose another location'));
+
+  assert.strictEqual(describeAzureError(new Error('Something else')), 'Something else', 'Unknown errors should be left alone');
+});
+
+// Test 19: Generated server names follow each resource type's naming rule
+test('Generated server names fit every naming rule', () => {
+  const subscription = '00000000-0000-0000-0000-000000000000';
+  const longName = 'a-very-long-compose-project-name-used-by-the-whole-team';
+  for (const [resource, Provider] of Object.entries(PROVIDERS)) {
+    for (const [project, service] of [['demo', 'db'], ['9lives', 'cache'], [longName, 'Orders_DB'], ['x', '_']]) {
+      const name = Provider.generateName(subscription, project, service);
+      assert(Provider.nameRule.pattern.test(name), `${resource}: ${name} should match ${Provider.nameRule.pattern}`);
+      assert.strictEqual(Provider.generateName(subscription, project, service), name, `${resource}: ${name} should be stable`);
+    }
+  }
+  assert.strictEqual(PROVIDERS.storage.generateName(subscription, 'demo', 'files').replace(/[0-9a-f]{8}$/, ''), 'demofiles');
+  assert.notStrictEqual(
+    PROVIDERS.postgres.generateName(subscription, 'demo', 'db'),
+    PROVIDERS.postgres.generateName('11111111-1111-1111-1111-111111111111', 'demo', 'db'),
+    'Names should differ between subscriptions'
+  );
+});
+
+// Test 20: Extra connection formats escape special characters in the password
+test('Postgres provision emits connection formats with an encoded password', async () => {
+  const arm = new FakeArm();
+  const credentialStore = new CredentialStore(fs.mkdtempSync(path.join(os.tmpdir(), 'docker-azure-creds-')));
+  await quietly(() => createProvider(AzurePostgresProvider, arm, credentialStore).provision(baseOptions));
+  const password = 'p@ss:w/rd#%&\'"; x';
+  credentialStore.set(`postgres/${SUBSCRIPTION_ID}/test-rg/test-pg/roles/appdb_app`, { username: 'appdb_app', password });
+
+  const info = await quietly(() => createProvider(AzurePostgresProvider, arm, credentialStore)
+    .provision({ ...baseOptions, formats: 'jdbc,dotnet,libpq,dsn' }));
+
+  const url = new URL(info.URL);
+  assert.strictEqual(decodeURIComponent(url.password), password, 'URL should carry the encoded password');
+  assert.strictEqual(url.hostname, 'test-pg.postgres.database.azure.com');
+  assert.strictEqual(url.pathname, '/appdb');
+
+  const jdbc = new URL(info.JDBC_URL.slice('jdbc:'.length));
+  assert.strictEqual(jdbc.searchParams.get('password'), password, 'JDBC URL should carry the encoded password');
+  assert.strictEqual(jdbc.searchParams.get('sslmode'), 'require');
+
+  assert(info.DOTNET_CONNECTION_STRING.startsWith('Host=test-pg.postgres.database.azure.com;Port=5432;Database=appdb;Username=appdb_app;'));
+  assert(info.DOTNET_CONNECTION_STRING.includes('Password="p@ss:w/rd#%&\'""; x";'), 'ADO.NET password should be quoted');
+  assert.strictEqual(info.PGPASSWORD, password);
+  assert.strictEqual(info.PGSSLMODE, 'require');
+  assert(info.DSN.includes("password='p@ss:w/rd#%&\\'\"; x'"), 'libpq DSN password should be escaped');
+});
+
+// Test 21: env_mapping renames and filters the injected variables
+test('applyEnvMapping renames and filters connection info keys', () => {
+  const info = { HOST: 'h', PORT: '5432', URL: 'postgresql://h' };
+  assert.deepStrictEqual(applyEnvMapping(info, undefined), info, 'No mapping keeps everything');
+  assert.deepStrictEqual(applyEnvMapping(info, 'URL=DATABASE_URL,HOST'), { DATABASE_URL: 'postgresql://h', HOST: 'h' });
+  assert.deepStrictEqual(applyEnvMapping(info, 'URL=DATABASE_URL,*'), { DATABASE_URL: 'postgresql://h', HOST: 'h', PORT: '5432' });
+  assert.throws(() => applyEnvMapping(info, 'URL=database-url'), /Invalid env_mapping entry: URL=database-url/);
+});
+
+// Test 22: Extensions are allow-listed and created, static parameters restart the server
+test('Postgres provision configures extensions and server parameters', async () => {
+  const arm = new FakeArm();
+  const configuration = (name, value, isDynamicConfig) =>
+    arm.seed(`${SERVER}/configurations/${name}`, { properties: { value, isDynamicConfig } });
+  configuration('azure.extensions', 'PG_TRGM', true);
+  configuration('shared_preload_libraries', 'pg_stat_statements', false);
+  configuration('max_connections', '100', false);
+  configuration('log_min_duration_statement', '-1', true);
+
+  const credentialStore = new CredentialStore(fs.mkdtempSync(path.join(os.tmpdir(), 'docker-azure-creds-')));
+  const sql = [];
+  const dependencies = {
+    sql: async (connection, statements) => {
+      sql.push({ connection, statements });
+      return [];
+    }
+  };
+  const options = {
+    ...baseOptions,
+    extensions: 'pgvector,postgis,pg_trgm,pg_cron',
+    server_parameters: 'max_connections=200,log_min_duration_statement=500'
+  };
+  await quietly(() => createProvider(AzurePostgresProvider, arm, credentialStore, {}, dependencies).provision(options));
+
+  const value = name => arm.get(`${SERVER}/configurations/${name}`).properties.value;
+  assert.strictEqual(value('azure.extensions'), 'PG_TRGM,VECTOR,POSTGIS,PG_CRON', 'Extensions should be added to the allow-list');
+  assert.strictEqual(value('shared_preload_libraries'), 'pg_stat_statements,pg_cron', 'pg_cron should be preloaded');
+  assert.strictEqual(value('max_connections'), '200');
+  assert.strictEqual(value('log_min_duration_statement'), '500');
+  assert.deepStrictEqual(arm.calls('POST').filter(call => call.endsWith('/restart')), [`POST ${SERVER}/restart`], 'Server should restart once');
+
+  assert.strictEqual(sql.length, 3, 'Extensions should be created, then the application role looked up and created');
+  assert.strictEqual(sql[0].connection.database, 'appdb');
+  assert.strictEqual(sql[0].connection.host, 'test-pg.postgres.database.azure.com');
+  assert.deepStrictEqual(sql[0].statements, ['vector', 'postgis', 'pg_trgm', 'pg_cron'].map(name => `CREATE EXTENSION IF NOT EXISTS "${name}"`));
+
+  const patches = arm.calls('PATCH').length;
+  await quietly(() => createProvider(AzurePostgresProvider, arm, credentialStore, {}, dependencies).provision(options));
+  assert.strictEqual(arm.calls('PATCH').length, patches, 'Nothing should change on the second run');
+  assert.strictEqual(arm.calls('POST').filter(call => call.endsWith('/restart')).length, 1, 'Server should not restart again');
+});
+
+// Test 23: The application role is created, rotated and dropped with the service
+test('Postgres provision hands out an application role instead of the administrator', async () => {
+  const arm = new FakeArm();
+  arm.seed(RG, { location: 'eastus' });
+  arm.seed(SERVER, { location: 'eastus', sku: { name: 'Standard_B1ms', tier: 'Burstable' }, properties: { administratorLogin: 'dbadmin', version: '14' } });
+  const credentialStore = new CredentialStore(fs.mkdtempSync(path.join(os.tmpdir(), 'docker-azure-creds-')));
+  // A server that remembers the roles created on it
+  const sql = [];
+  const roles = new Set();
+  const dependencies = {
+    sql: async (connection, statements) => {
+      const [query] = statements;
+      const exists = /^SELECT 1 FROM pg_roles WHERE rolname = '(\w+)'$/.exec(query);
+      if (exists) return roles.has(exists[1]) ? [{ '?column?': 1 }] : [];
+      const create = /^CREATE ROLE "(\w+)"/.exec(query);
+      if (create) roles.add(create[1]);
+      sql.push({ connection, statements });
+      return [];
+    }
+  };
+  const provider = () => createProvider(AzurePostgresProvider, arm, credentialStore, {}, dependencies);
+  const options = { ...baseOptions, app_role: 'orders_svc' };
+
+  const first = await quietly(() => provider().provision(options));
+  assert.strictEqual(first.USER, 'orders_svc');
+  assert.strictEqual(sql[0].connection.user, 'dbadmin', 'The role should be created by the administrator');
+  assert(sql[0].statements[0].includes(`CREATE ROLE "orders_svc" WITH LOGIN PASSWORD '${first.PASSWORD}'`));
+  assert(sql[0].statements.some(statement => statement === 'GRANT USAGE, CREATE ON SCHEMA public TO "orders_svc"'));
+  assert(!sql[0].statements.some(statement => /SUPERUSER|CREATEROLE|CREATEDB/.test(statement)), 'The role should get no server privileges');
+
+  const second = await quietly(() => provider().provision({ ...options, expose_admin: true }));
+  assert.strictEqual(second.PASSWORD, first.PASSWORD, 'The role password should be kept');
+  assert.strictEqual(sql[1].statements[0], `ALTER ROLE "orders_svc" WITH LOGIN PASSWORD '${first.PASSWORD}'`, 'An existing role should be altered');
+  assert.strictEqual(second.ADMIN_USER, 'dbadmin');
+  assert.strictEqual(new URL(second.ADMIN_URL).username, 'dbadmin');
+
+  const rotated = await quietly(() => provider().provision({ ...options, rotate_credentials: true }));
+  assert.notStrictEqual(rotated.PASSWORD, first.PASSWORD, 'rotate_credentials should set a new password');
+  assert(sql[2].statements[0].includes(`PASSWORD '${rotated.PASSWORD}'`));
+
+  // Passwords are plain string literals, so '$$' (possible in generated ones) cannot end a DO block
+  credentialStore.set(`postgres/${SUBSCRIPTION_ID}/test-rg/test-pg/roles/orders_svc`, { username: 'orders_svc', password: "pa$$wo'rd$$" });
+  await quietly(() => provider().provision(options));
+  assert.strictEqual(sql[3].statements[0], `ALTER ROLE "orders_svc" WITH LOGIN PASSWORD 'pa$$wo''rd$$'`);
+
+  // The server existed before up, so down has to drop the role itself
+  sql.length = 0;
+  await quietly(() => provider().deprovision(options, { resources: [] }));
+  assert.strictEqual(sql.length, 1);
+  assert.strictEqual(sql[0].connection.database, 'appdb');
+  assert(sql[0].statements[0].includes('DROP ROLE "orders_svc"'));
+  assert.strictEqual(credentialStore.get(`postgres/${SUBSCRIPTION_ID}/test-rg/test-pg/roles/orders_svc`), null, 'Role credential should be deleted');
+
+  await assert.rejects(() => quietly(() => provider().provision({ ...options, network_mode: 'private' })),
+    /Set expose_admin to true/);
+});
+
+// Test 24: auth_mode entra maps the app's identity to a role and emits no password
+test('Postgres provision with auth_mode entra registers an Entra administrator and app role', async () => {
+  const withExtensions = () => {
+    const arm = new FakeArm();
+    arm.seed(`${SERVER}/configurations/azure.extensions`, { properties: { value: '', isDynamicConfig: true } });
+    return arm;
+  };
+  const arm = withExtensions();
+  const claims = { oid: '11111111-2222-3333-4444-555555555555', tid: '99999999-8888-7777-6666-555555555555', upn: 'dev@contoso.com', scp: 'user_impersonation' };
+  const token = ['{"alg":"none"}', JSON.stringify(claims), ''].map(part => Buffer.from(part).toString('base64url')).join('.');
+  const credential = { getToken: async () => ({ token, expiresOnTimestamp: Date.now() + 3600 * 1000 }) };
+  const credentialStore = new CredentialStore(fs.mkdtempSync(path.join(os.tmpdir(), 'docker-azure-creds-')));
+  const sql = [];
+  const dependencies = {
+    credential,
+    sql: async (connection, statements) => {
+      sql.push({ connection, statements });
+      return [];
+    }
+  };
+  const options = { ...baseOptions, auth_mode: 'entra', extensions: 'pg_trgm', entra_app_principal: 'orders-api' };
+
+  const info = await quietly(() => createProvider(AzurePostgresProvider, arm, credentialStore, {}, dependencies)
+    .provision(options));
+
+  const server = arm.get(SERVER).properties;
+  assert.deepStrictEqual(server.authConfig, { activeDirectoryAuth: 'Enabled', passwordAuth: 'Disabled', tenantId: claims.tid });
+  assert.strictEqual(server.administratorLoginPassword, undefined, 'No administrator password should be set');
+  assert.strictEqual(arm.get(`${SERVER}/administrators/${claims.oid}`).properties.principalName, 'dev@contoso.com');
+  assert.strictEqual(credentialStore.get(`postgres/${SUBSCRIPTION_ID}/test-rg/test-pg`), null, 'No password should be stored');
+
+  assert.strictEqual(info.USER, 'orders-api', 'Apps should sign in as their own identity');
+  assert.strictEqual(info.PASSWORD, undefined);
+  assert.strictEqual(info.ADMIN_USER, undefined);
+  assert.strictEqual(info.URL, 'postgresql://orders-api@test-pg.postgres.database.azure.com:5432/appdb?sslmode=require');
+  assert.strictEqual(info.TOKEN_SCOPE, 'https://ossrdbms-aad.database.windows.net/.default');
+  assert.strictEqual(info.TENANT_ID, claims.tid);
+
+  assert.strictEqual(sql.length, 4, 'The extension, then the Entra role check, create and grants');
+  assert(sql.every(run => run.connection.user === 'dev@contoso.com' && run.connection.password === token), 'SQL should run with a token');
+  assert.deepStrictEqual([sql[2].connection.database, sql[2].statements], ['postgres', ["SELECT * FROM pgaadauth_create_principal('orders-api', false, false)"]]);
+  assert.deepStrictEqual([sql[3].connection.database, sql[3].statements[0]], ['appdb', 'GRANT CONNECT ON DATABASE "appdb" TO "orders-api"']);
+
+  // down keeps a server it did not create, but drops the role it created there
+  sql.length = 0;
+  await quietly(() => createProvider(AzurePostgresProvider, arm, credentialStore, {}, dependencies)
+    .deprovision(options, { resources: [] }));
+  assert.strictEqual(sql.length, 1);
+  assert(sql[0].statements[0].includes(`EXECUTE 'DROP ROLE "orders-api"'`), 'down should drop the Entra role');
+
+  // Without an app principal only expose_admin hands out the administrator
+  const empty = new FakeArm();
+  await assert.rejects(() => quietly(() => createProvider(AzurePostgresProvider, empty, credentialStore, {}, dependencies)
+    .provision({ ...baseOptions, auth_mode: 'entra' })), /would hand out the Entra administrator dev@contoso.com/);
+  assert.strictEqual(empty.calls('PUT').length, 0, 'Nothing should be created');
+
+  // A group the plugin cannot sign in as: the extension is left to its members
+  const group = { entra_admin: '22222222-3333-4444-5555-666666666666', entra_admin_name: 'db-admins', entra_admin_type: 'Group' };
+  await assert.rejects(() => quietly(() => createProvider(AzurePostgresProvider, empty, credentialStore, {}, dependencies)
+    .provision({ ...options, ...group })), /Cannot create Entra role orders-api on test-pg: only db-admins can sign in to it/);
+  sql.length = 0;
+  const groupInfo = await quietly(() => createProvider(AzurePostgresProvider, withExtensions(), credentialStore, {}, dependencies)
+    .provision({ ...baseOptions, auth_mode: 'entra', extensions: 'pg_trgm', expose_admin: true, ...group }));
+  assert.strictEqual(groupInfo.USER, 'db-admins');
+  assert.strictEqual(sql.length, 0, 'No SQL should run');
+
+  const both = await quietly(() => createProvider(AzurePostgresProvider, new FakeArm(), credentialStore, {}, dependencies)
+    .provision({ ...baseOptions, auth_mode: 'both', entra_app_principal: 'orders-api' }));
+  assert.strictEqual(both.USER, 'appdb_app', 'auth_mode both should keep the application role');
+  assert.strictEqual(both.ENTRA_USER, 'orders-api');
+  assert(both.ENTRA_URL.startsWith('postgresql://orders-api@'));
+  assert.strictEqual(both.AUTH_MODE, 'both');
+});
+
+// Test 25: Init scripts run once each, in order, tracked by checksum
+test('Postgres provision applies new init scripts only', async () => {
+  const project = fs.mkdtempSync(path.join(os.tmpdir(), 'docker-azure-project-'));
+  fs.mkdirSync(path.join(project, 'db', 'init'), { recursive: true });
+  const write = (name, sql) => fs.writeFileSync(path.join(project, 'db', 'init', name), sql);
+  write('002_seed.sql', "INSERT INTO visitors (ip_address) VALUES ('127.0.0.1');");
+  write('001_schema.sql', 'CREATE TABLE visitors (id serial PRIMARY KEY, ip_address text);');
+  write('README.md', 'not a script');
+
+  // A database that remembers the rows written to the migrations table
+  const applied = [];
+  const scripts = [];
+  const sql = async (connection, statements) => {
+    if (statements[0].startsWith('SELECT name, checksum')) return applied;
+    const insert = statements.map(statement => /^INSERT INTO "docker_compose_migrations" \(name, checksum\) VALUES \('(.+)', '(\w+)'\)$/.exec(statement)).find(Boolean);
+    if (insert) {
+      assert.deepStrictEqual([statements[0], statements[3]], ['BEGIN', 'COMMIT'], 'Each script should run in a transaction');
+      scripts.push(statements[1]);
+      applied.push({ name: insert[1], checksum: insert[2] });
+    }
+    return [];
+  };
+  const arm = new FakeArm();
+  const credentialStore = new CredentialStore(fs.mkdtempSync(path.join(os.tmpdir(), 'docker-azure-creds-')));
+  // The project is not the current directory, as with docker compose -f
+  const provision = () => quietly(() => createProvider(AzurePostgresProvider, arm, credentialStore, {}, { sql })
+    .provision({ ...baseOptions, init_scripts: 'db/init', project_dir: project }));
+
+  await provision();
+  assert.deepStrictEqual(applied.map(row => row.name), ['db/init/001_schema.sql', 'db/init/002_seed.sql'], 'Scripts should run in name order');
+  assert(scripts[0].startsWith('CREATE TABLE visitors'));
+
+  await provision();
+  assert.strictEqual(scripts.length, 2, 'Applied scripts should not run again');
+
+  write('003_index.sql', 'CREATE INDEX visitors_ip ON visitors (ip_address);');
+  await provision();
+  assert.deepStrictEqual(scripts.slice(2), ['CREATE INDEX visitors_ip ON visitors (ip_address);'], 'Only the new script should run');
+
+  write('001_schema.sql', 'CREATE TABLE visitors (id bigserial PRIMARY KEY);');
+  await assert.rejects(provision, /Init scripts changed after they were applied: db\/init\/001_schema.sql/);
+  assert.strictEqual(scripts.length, 3, 'Nothing should run when an applied script changed');
+});
+
+// Test 26: A resumed create keeps the password the first run sent
+test('Postgres provision reuses the stored password when it resumes a create', async () => {
+  const arm = new FakeArm();
+  const credentialStore = new CredentialStore(fs.mkdtempSync(path.join(os.tmpdir(), 'docker-azure-creds-')));
+  const options = { ...baseOptions, expose_admin: true };
+  arm.slowNext(/\/flexibleServers\/test-pg$/, Infinity);
+
+  const first = createProvider(AzurePostgresProvider, arm, credentialStore);
+  const sendRequest = arm.sendRequest.bind(arm);
+  arm.sendRequest = async request => {
+    if (request.url.includes('/fakeOperations/')) first.cancel('received SIGINT');
+    return sendRequest(request);
+  };
+  await assert.rejects(() => quietly(() => first.provision(options)), /Stopped waiting for Creating PostgreSQL server/);
+
+  arm.sendRequest = sendRequest;
+  arm.completeOperations();
+  const second = createProvider(AzurePostgresProvider, arm, credentialStore, { pending: first.pendingOperations });
+  const info = await quietly(() => second.provision(options));
+
+  const password = arm.get(SERVER).properties.administratorLoginPassword;
+  assert.strictEqual(credentialStore.get(`postgres/${SUBSCRIPTION_ID}/test-rg/test-pg`).password, password);
+  assert.strictEqual(info.ADMIN_PASSWORD, password);
+});
+
+// Test 27: up needs SQL access, so a failed IP lookup stops it early
+test('Postgres provision fails before creating anything when the public IP is unknown', async () => {
+  const arm = new FakeArm();
+  const lookupUrl = process.env.DOCKER_AZURE_IP_LOOKUP_URL;
+  process.env.DOCKER_AZURE_IP_LOOKUP_URL = 'http://127.0.0.1:9/';
+  try {
+    const options = { ...baseOptions, detect_public_ip: true, allowed_ip_ranges: '' };
+    await assert.rejects(
+      () => quietly(() => createProvider(AzurePostgresProvider, arm).provision(options)),
+      /Could not detect public IP address .*Set allowed_ip_ranges to allow this machine/
+    );
+    assert.strictEqual(arm.calls('PUT').length, 0, 'Nothing should be created');
+
+    await quietly(() => createProvider(AzurePostgresProvider, arm).provision({ ...options, allowed_ip_ranges: '203.0.113.7' }));
+    assert(arm.get(`${SERVER}/firewallRules/compose-203_0_113_7-203_0_113_7`), 'Listed ranges should stand in for the lookup');
+  } finally {
+    if (lookupUrl === undefined) delete process.env.DOCKER_AZURE_IP_LOOKUP_URL;
+    else process.env.DOCKER_AZURE_IP_LOOKUP_URL = lookupUrl;
+  }
+});
+
+// Test 28: Entities up adds to an existing namespace are deleted by down
+test('Service Bus deprovision deletes the queues, topics and subscriptions up created', async () => {
+  const arm = new FakeArm();
+  const namespace = `${RG}/providers/Microsoft.ServiceBus/namespaces/test-bus`;
+  arm.seed(RG, { location: 'eastus' });
+  arm.seed(namespace, { location: 'eastus', sku: { name: 'Standard' } });
+  arm.seed(`${namespace}/queues/existing`, {});
+  const options = { ...baseOptions, server_name: 'test-bus', queues: 'existing,orders', subscriptions: 'events/audit' };
+
+  const provider = createProvider(AzureServiceBusProvider, arm);
+  await quietly(() => provider.provision(options));
+  assert.deepStrictEqual(provider.created.map(item => item.name), ['orders', 'events', 'audit'], 'Only new entities should be recorded');
+
+  await quietly(() => createProvider(AzureServiceBusProvider, arm).deprovision(options, { resources: provider.created }));
+  assert(arm.get(namespace), 'Namespace should be kept');
+  assert(arm.get(`${namespace}/queues/existing`), 'Queue that existed before up should be kept');
+  assert(!arm.get(`${namespace}/queues/orders`), 'Queue created by up should be deleted');
+  assert(!arm.get(`${namespace}/topics/events`), 'Topic created by up should be deleted');
+  assert.strictEqual(arm.calls('DELETE').filter(call => call.includes('/subscriptions/audit')).length, 0, 'Subscription should go with its topic');
+});
+
+// Test 29: The Go MySQL DSN takes any password and refuses values it would split wrongly
+test('MySQL provision emits a Go driver DSN for any password', async () => {
+  const arm = new FakeArm();
+  const credentialStore = new CredentialStore(fs.mkdtempSync(path.join(os.tmpdir(), 'docker-azure-creds-')));
+  const options = { ...baseOptions, server_name: 'test-mysql', formats: 'dsn' };
+  await quietly(() => createProvider(AzureMySQLProvider, arm, credentialStore).provision(options));
+  credentialStore.set(`mysql/${SUBSCRIPTION_ID}/test-rg/test-mysql/roles/appdb_app`, { username: 'appdb_app', password: 'p@ss:w/rd@x' });
+
+  const info = await quietly(() => createProvider(AzureMySQLProvider, arm, credentialStore).provision(options));
+  assert.strictEqual(info.DSN, 'appdb_app:p@ss:w/rd@x@tcp(test-mysql.mysql.database.azure.com:3306)/appdb?tls=true');
+
+  await assert.rejects(
+    () => quietly(() => createProvider(AzureMySQLProvider, arm, credentialStore).provision({ ...options, database_name: 'app/db', app_role: 'app' })),
+    /Cannot build the dsn format: database app\/db contains/
+  );
+});
+
+// Test 30: Redis capacity defaults and limits depend on the SKU
+test('Redis provision defaults Premium to P1 and checks capacity before creating anything', async () => {
+  const arm = new FakeArm();
+  const cache = `${RG}/providers/Microsoft.Cache/Redis/test-redis`;
+  const options = { ...baseOptions, server_name: 'test-redis', sku: 'Premium' };
+
+  await quietly(() => createProvider(AzureRedisProvider, arm).provision(options));
+  assert.deepStrictEqual(arm.get(cache).properties.sku, { name: 'Premium', family: 'P', capacity: 1 });
+
+  const empty = new FakeArm();
+  await assert.rejects(() => quietly(() => createProvider(AzureRedisProvider, empty).provision({ ...options, capacity: 0 })),
+    /Invalid capacity: 0. Premium caches take 1-5/);
+  await assert.rejects(() => quietly(() => createProvider(AzureRedisProvider, empty).provision({ ...options, sku: 'Basic', capacity: 7 })),
+    /Invalid capacity: 7. Basic caches take 0-6/);
+  assert.strictEqual(empty.calls('PUT').length, 0, 'Nothing should be created');
+});
+
+// Test 31: Scripts with their own transaction control opt out of the wrapping transaction
+test('Postgres provision runs -- no-transaction init scripts as sent and records them afterwards', async () => {
+  const project = fs.mkdtempSync(path.join(os.tmpdir(), 'docker-azure-project-'));
+  fs.writeFileSync(path.join(project, 'index.sql'), '-- no-transaction\nCREATE INDEX CONCURRENTLY visitors_ip ON visitors (ip_address);');
+  const runs = [];
+  const sql = async (connection, statements) => {
+    runs.push(statements);
+    return [];
+  };
+  await quietly(() => createProvider(AzurePostgresProvider, new FakeArm(), undefined, {}, { sql })
+    .provision({ ...baseOptions, init_scripts: 'index.sql', project_dir: project }));
+
+  const script = runs.findIndex(statements => statements[0].includes('CONCURRENTLY'));
+  assert.strictEqual(runs[script].length, 1, 'The script should run without BEGIN and COMMIT');
+  assert(runs[script + 1][0].startsWith('INSERT INTO "docker_compose_migrations"'), 'The script should be recorded after it succeeds');
+
+  fs.writeFileSync(path.join(project, 'index.sql'), 'BEGIN;\nCREATE TABLE visitors (id serial);\nCOMMIT;');
+  const empty = new FakeArm();
+  await assert.rejects(() => quietly(() => createProvider(AzurePostgresProvider, empty, undefined, {}, { sql })
+    .provision({ ...baseOptions, init_scripts: 'index.sql', project_dir: project })),
+  /index.sql manages its own transaction; start it with a "-- no-transaction" line/);
+  assert.strictEqual(empty.calls('PUT').length, 0, 'Nothing should be created');
+});
+
+(async () => {
+  let passedTests = 0;
+  let failedTests = 0;
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+      passedTests++;
+    } catch (error) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${error.message}\n`);
+      failedTests++;
+    }
+  }
+
+  fs.rmSync(process.env.DOCKER_AZURE_STATE_DIR, { recursive: true, force: true });
+
+  console.log('\n========================================');
+  console.log(`Results: ${passedTests} passed, ${failedTests} failed`);
+  console.log('========================================\n');
+
+  if (failedTests > 0) {
+    process.exit(1);
+  }
+
+  console.log('✅ All tests passed!\n');
+})();
@@ -3,8 +3,14 @@
  */
 
 const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const { execSync } = require('child_process');
 
+// Keep the plugin's credential store and state ledger out of the real home directory
+process.env.DOCKER_AZURE_STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'docker-azure-test-'));
+
 console.log('========================================');
 console.log('Azure Provider Plugin Unit Tests');
 console.log('========================================\n');
@@ -12,6 +18,16 @@ console.log('========================================\n');
 let passedTests = 0;
 let failedTests = 0;
 
+/**
+ * Environment with a docker CLI that knows no containers, volumes or networks,
+ * so the local backend can plan without Docker
+ */
+function fakeDockerEnv(env = process.env) {
+  const bin = fs.mkdtempSync(path.join(os.tmpdir(), 'docker-azure-bin-'));
+  fs.writeFileSync(path.join(bin, 'docker'), '#!/bin/sh\necho "Error: No such object: $3" >&2\nexit 1\n', { mode: 0o755 });
+  return { ...env, PATH: `${bin}${path.delimiter}${env.PATH}` };
+}
+
 function test(name, fn) {
   try {
     fn();
@@ -72,44 +88,28 @@ test('Metadata includes required parameters', () => {
   
   const serverNameParam = metadata.up.parameters.find(p => p.name === 'server_name');
   assert(serverNameParam, 'Should have server_name parameter');
-  assert(serverNameParam.required, 'server_name should be required');
+  assert(!serverNameParam.required, 'server_name should be optional (it is generated when omitted)');
 });
 
-// Test 7: Up command requires server_name
-test('Up command validates required parameters', () => {
+// Test 7: Up command checks server_name against the naming rule
+test('Up command validates server_name', () => {
   try {
-    execSync('docker-azure compose up testdb --resource postgres 2>&1', { 
+    execSync('docker-azure compose up testdb --resource postgres --server_name -Test-', {
       encoding: 'utf8',
-      stdio: 'pipe'
+      stdio: 'pipe',
+      env: { ...process.env, AZURE_SUBSCRIPTION_ID: '00000000-0000-0000-0000-000000000000' }
     });
-    // Should fail without server_name, but won't throw if it continues to Azure auth
-    assert(true);
+    assert.fail('Should exit with non-zero code');
   } catch (error) {
-    // Expected - either missing required option or Azure auth error
-    assert(true);
+    assert(error.status === 1, 'Should exit with code 1');
+    assert(error.stdout.includes('Invalid server_name: -Test-'), 'Should report the invalid server_name');
   }
 });
 
 // Test 8: Password generation meets requirements
 test('Password generation meets requirements', () => {
-  const crypto = require('crypto');
-  
-  function generatePassword(length = 24) {
-    const charset = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789!@#$%^&*';
-    let password = '';
-    const randomBytes = crypto.randomBytes(length);
-    
-    for (let i = 0; i < length; i++) {
-      password += charset[randomBytes[i] % charset.length];
-    }
-    
-    if (!/[A-Z]/.test(password)) password = 'A' + password.slice(1);
-    if (!/[a-z]/.test(password)) password = password.slice(0, -1) + 'a';
-    if (!/[0-9]/.test(password)) password = password.slice(0, -1) + '1';
-    
-    return password;
-  }
-  
+  const { generatePassword } = require('../index.js');
+
   const password = generatePassword();
   assert(password.length === 24, 'Password should be 24 characters');
   assert(/[A-Z]/.test(password), 'Password should contain uppercase');
@@ -137,6 +137,431 @@ test('Metadata parameter types are valid', () => {
   });
 });
 
+// Test 10: Metadata advertises MySQL resource type
+test('Metadata advertises mysql resource type', () => {
+  const result = execSync('docker-azure metadata', { encoding: 'utf8' });
+  const metadata = JSON.parse(result);
+
+  const resourceParam = metadata.up.parameters.find(p => p.name === 'resource');
+  assert(resourceParam.enum.split(',').includes('mysql'), 'resource enum should include mysql');
+
+  const versionParam = metadata.up.parameters.find(p => p.name === 'version');
+  assert(versionParam.description.includes('8.0.21'), 'version should list MySQL versions');
+
+  assert(metadata.up.parameters.find(p => p.name === 'charset'), 'Should have charset parameter');
+  assert(metadata.up.parameters.find(p => p.name === 'collation'), 'Should have collation parameter');
+});
+
+// Test 11: Unsupported resource types are rejected before contacting Azure
+test('Up command rejects unsupported resource types', () => {
+  try {
+    execSync('docker-azure compose up testdb --resource oracle --server_name test', {
+      encoding: 'utf8',
+      stdio: 'pipe',
+      env: { ...process.env, AZURE_SUBSCRIPTION_ID: '00000000-0000-0000-0000-000000000000' }
+    });
+    assert.fail('Should exit with non-zero code');
+  } catch (error) {
+    assert(error.status === 1, 'Should exit with code 1');
+    assert(error.stdout.includes('Unsupported resource type: oracle'), 'Should report unsupported resource');
+  }
+});
+
+// Test 12: Metadata advertises Redis resource type and options
+test('Metadata advertises redis resource type', () => {
+  const result = execSync('docker-azure metadata', { encoding: 'utf8' });
+  const metadata = JSON.parse(result);
+
+  const resourceParam = metadata.up.parameters.find(p => p.name === 'resource');
+  assert(resourceParam.enum.split(',').includes('redis'), 'resource enum should include redis');
+
+  ['capacity', 'enable_non_ssl_port', 'redis_version'].forEach(name => {
+    assert(metadata.up.parameters.find(p => p.name === name), `Should have ${name} parameter`);
+  });
+});
+
+// Test 13: Metadata advertises storage resource type and options
+test('Metadata advertises storage resource type', () => {
+  const result = execSync('docker-azure metadata', { encoding: 'utf8' });
+  const metadata = JSON.parse(result);
+
+  const resourceParam = metadata.up.parameters.find(p => p.name === 'resource');
+  assert(resourceParam.enum.split(',').includes('storage'), 'resource enum should include storage');
+  assert(metadata.up.parameters.find(p => p.name === 'containers'), 'Should have containers parameter');
+  assert(metadata.down.parameters.find(p => p.name === 'delete_account'), 'Should have delete_account down parameter');
+});
+
+// Test 14: Storage rejects unknown public access levels before contacting Azure
+test('Storage up rejects invalid public_access', () => {
+  try {
+    execSync('docker-azure compose up files --resource storage --server_name teststorage --public_access world', {
+      encoding: 'utf8',
+      stdio: 'pipe',
+      env: { ...process.env, AZURE_SUBSCRIPTION_ID: '00000000-0000-0000-0000-000000000000' }
+    });
+    assert.fail('Should exit with non-zero code');
+  } catch (error) {
+    assert(error.status === 1, 'Should exit with code 1');
+    assert(error.stdout.includes('Invalid public_access: world'), 'Should report invalid public_access');
+  }
+});
+
+// Test 15: Metadata advertises Service Bus resource type and options
+test('Metadata advertises servicebus resource type', () => {
+  const result = execSync('docker-azure metadata', { encoding: 'utf8' });
+  const metadata = JSON.parse(result);
+
+  const resourceParam = metadata.up.parameters.find(p => p.name === 'resource');
+  assert(resourceParam.enum.split(',').includes('servicebus'), 'resource enum should include servicebus');
+
+  ['queues', 'topics', 'subscriptions', 'access_rights'].forEach(name => {
+    assert(metadata.up.parameters.find(p => p.name === name), `Should have ${name} parameter`);
+  });
+});
+
+// Test 16: Service Bus rejects topics on the Basic tier before contacting Azure
+test('Service Bus up rejects topics on Basic SKU', () => {
+  try {
+    execSync('docker-azure compose up bus --resource servicebus --server_name testbus --sku Basic --subscriptions orders/billing', {
+      encoding: 'utf8',
+      stdio: 'pipe',
+      env: { ...process.env, AZURE_SUBSCRIPTION_ID: '00000000-0000-0000-0000-000000000000' }
+    });
+    assert.fail('Should exit with non-zero code');
+  } catch (error) {
+    assert(error.status === 1, 'Should exit with code 1');
+    assert(error.stdout.includes('require the Standard or Premium'), 'Should report SKU requirement');
+  }
+});
+
+// Test 17: Metadata advertises Cosmos DB resource type and options
+test('Metadata advertises cosmos resource type', () => {
+  const result = execSync('docker-azure metadata', { encoding: 'utf8' });
+  const metadata = JSON.parse(result);
+
+  const resourceParam = metadata.up.parameters.find(p => p.name === 'resource');
+  assert(resourceParam.enum.split(',').includes('cosmos'), 'resource enum should include cosmos');
+
+  const apiParam = metadata.up.parameters.find(p => p.name === 'api');
+  assert.deepStrictEqual(apiParam.enum.split(','), ['sql', 'mongo']);
+  ['consistency_level', 'capacity_mode', 'throughput'].forEach(name => {
+    assert(metadata.up.parameters.find(p => p.name === name), `Should have ${name} parameter`);
+  });
+});
+
+// Test 18: Cosmos DB rejects unknown APIs before contacting Azure
+test('Cosmos up rejects invalid api', () => {
+  try {
+    execSync('docker-azure compose up docs --resource cosmos --server_name testcosmos --api cassandra', {
+      encoding: 'utf8',
+      stdio: 'pipe',
+      env: { ...process.env, AZURE_SUBSCRIPTION_ID: '00000000-0000-0000-0000-000000000000' }
+    });
+    assert.fail('Should exit with non-zero code');
+  } catch (error) {
+    assert(error.status === 1, 'Should exit with code 1');
+    assert(error.stdout.includes('Invalid api: cassandra'), 'Should report invalid api');
+  }
+});
+
+// Test 19: Key Vault options are advertised for up and down
+test('Metadata advertises key_vault options', () => {
+  const result = execSync('docker-azure metadata', { encoding: 'utf8' });
+  const metadata = JSON.parse(result);
+
+  assert(metadata.up.parameters.find(p => p.name === 'key_vault'), 'Should have key_vault up parameter');
+  assert(metadata.down.parameters.find(p => p.name === 'key_vault'), 'Should have key_vault down parameter');
+  const purgeParam = metadata.down.parameters.find(p => p.name === 'purge_secrets');
+  assert(purgeParam && purgeParam.type === 'boolean', 'Should have boolean purge_secrets down parameter');
+});
+
+// Test 20: Compose-level --project-name is accepted before the command
+test('Project name before the command is passed to up', () => {
+  const result = execSync('docker-azure compose --project-name=demo up testdb --resource postgres --backend local --dry-run', {
+    encoding: 'utf8',
+    env: fakeDockerEnv()
+  });
+  assert(result.includes('Plan: create container docker-azure-demo-testdb'), 'Resources should be named after the project');
+});
+
+// Test 21: status and list commands are available
+test('Status and list commands exist', () => {
+  const result = execSync('docker-azure --help', { encoding: 'utf8' });
+  assert(result.includes('status'), 'Help text should include status command');
+  assert(result.includes('list'), 'Help text should include list command');
+
+  const listHelp = execSync('docker-azure list --help', { encoding: 'utf8' });
+  assert(listHelp.includes('--project-name'), 'list should accept --project-name');
+  assert(listHelp.includes('--format'), 'list should accept --format');
+});
+
+// Test 22: status requires a subscription
+test('Status command requires AZURE_SUBSCRIPTION_ID', () => {
+  const env = { ...process.env };
+  delete env.AZURE_SUBSCRIPTION_ID;
+  try {
+    execSync('docker-azure status database', { encoding: 'utf8', stdio: 'pipe', env });
+    assert.fail('Should exit with non-zero code');
+  } catch (error) {
+    assert(error.status === 1, 'Should exit with code 1');
+    assert(error.stderr.includes('AZURE_SUBSCRIPTION_ID'), 'Should report missing subscription');
+  }
+});
+
+// Test 23: Invalid firewall ranges are rejected before contacting Azure
+test('Up rejects invalid allowed_ip_ranges', () => {
+  try {
+    execSync('docker-azure compose up testdb --resource postgres --server_name test --detect_public_ip false --allowed_ip_ranges 203.0.113.0/24,300.1.1.1', {
+      encoding: 'utf8',
+      stdio: 'pipe',
+      env: { ...process.env, AZURE_SUBSCRIPTION_ID: '00000000-0000-0000-0000-000000000000' }
+    });
+    assert.fail('Should exit with non-zero code');
+  } catch (error) {
+    assert(error.status === 1, 'Should exit with code 1');
+    assert(error.stdout.includes('Invalid IP range: 300.1.1.1'), 'Should report the invalid range');
+  }
+});
+
+// Test 24: Firewall options are advertised and AllowAll is gone
+test('Metadata advertises firewall options', () => {
+  const result = execSync('docker-azure metadata', { encoding: 'utf8' });
+  const metadata = JSON.parse(result);
+
+  ['allowed_ip_ranges', 'allow_azure_services', 'detect_public_ip'].forEach(name => {
+    assert(metadata.up.parameters.find(p => p.name === name), `Should have ${name} parameter`);
+  });
+  const azureServices = metadata.up.parameters.find(p => p.name === 'allow_azure_services');
+  assert.strictEqual(azureServices.default, 'false', 'Azure services should not be allowed by default');
+});
+
+// Test 25: Private networking options are validated before contacting Azure
+test('Up rejects invalid network_mode', () => {
+  try {
+    execSync('docker-azure compose up testdb --resource postgres --server_name test --network_mode internal', {
+      encoding: 'utf8',
+      stdio: 'pipe',
+      env: { ...process.env, AZURE_SUBSCRIPTION_ID: '00000000-0000-0000-0000-000000000000' }
+    });
+    assert.fail('Should exit with non-zero code');
+  } catch (error) {
+    assert(error.status === 1, 'Should exit with code 1');
+    assert(error.stdout.includes('Invalid network_mode: internal'), 'Should report the invalid mode');
+  }
+});
+
+// Test 26: Dry-run down lists the ledger's resources without deleting anything
+test('Down --dry-run plans deletion from the state ledger', () => {
+  const sub = '/subscriptions/00000000-0000-0000-0000-000000000000/resourceGroups/plan-rg';
+  const server = `${sub}/providers/Microsoft.DBforPostgreSQL/flexibleServers/plan-db`;
+  const state = {
+    projects: {
+      planproject: {
+        db: {
+          resource: 'postgres',
+          options: { server_name: 'plan-db', resource_group: 'plan-rg' },
+          resources: [
+            { type: 'Microsoft.Resources/resourceGroups', id: sub, name: 'plan-rg' },
+            { type: 'Microsoft.DBforPostgreSQL/flexibleServers', id: server, name: 'plan-db' },
+            { type: 'Microsoft.DBforPostgreSQL/flexibleServers/databases', id: `${server}/databases/app`, name: 'app' }
+          ]
+        }
+      }
+    }
+  };
+  const stateFile = path.join(process.env.DOCKER_AZURE_STATE_DIR, 'state.json');
+  fs.writeFileSync(stateFile, JSON.stringify(state));
+
+  const result = execSync('docker-azure --project-name planproject compose down db --dry-run', {
+    encoding: 'utf8',
+    env: { ...process.env, AZURE_SUBSCRIPTION_ID: '00000000-0000-0000-0000-000000000000' }
+  });
+
+  assert(result.includes('Plan: delete Microsoft.DBforPostgreSQL/flexibleServers plan-db'), 'Should plan to delete the server');
+  assert(result.includes('Plan: delete Microsoft.DBforPostgreSQL/flexibleServers/databases app (with its parent)'), 'Database goes with the server');
+  assert(result.includes('Plan: delete resource group plan-rg (if empty)'), 'Should plan to delete the resource group');
+  assert(!result.includes('setenv'), 'Should not emit environment variables');
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(stateFile, 'utf8')), state, 'Ledger should be unchanged');
+  fs.rmSync(stateFile);
+});
+
+// Test 27: Dry-run up validates options like a real run
+test('Up --dry-run rejects invalid network_mode', () => {
+  try {
+    execSync('docker-azure compose up testdb --resource postgres --server_name test --network_mode internal --dry-run', {
+      encoding: 'utf8',
+      stdio: 'pipe',
+      env: { ...process.env, AZURE_SUBSCRIPTION_ID: '00000000-0000-0000-0000-000000000000' }
+    });
+    assert.fail('Should exit with non-zero code');
+  } catch (error) {
+    assert(error.status === 1, 'Should exit with code 1');
+    assert(error.stdout.includes('Invalid network_mode: internal'), 'Should report the invalid mode');
+  }
+});
+
+// Test 28: The local backend works without an Azure subscription
+test('Local backend does not require AZURE_SUBSCRIPTION_ID', () => {
+  const env = { ...process.env, DOCKER_AZURE_BACKEND: 'local' };
+  delete env.AZURE_SUBSCRIPTION_ID;
+
+  const result = execSync('docker-azure --project-name localproject compose down db --dry-run', { encoding: 'utf8', env });
+  assert(result.includes('Plan: delete container docker-azure-localproject-db'), 'Should plan to remove the container');
+  assert(result.includes('Plan: delete volume docker-azure-localproject-db-data'), 'Should plan to remove the volume');
+});
+
+// Test 29: Only postgres can run locally
+test('Local backend rejects unsupported resource types', () => {
+  try {
+    execSync('docker-azure compose up cache --resource redis --backend local', {
+      encoding: 'utf8',
+      stdio: 'pipe'
+    });
+    assert.fail('Should exit with non-zero code');
+  } catch (error) {
+    assert(error.status === 1, 'Should exit with code 1');
+    assert(error.stdout.includes('Unsupported resource type: redis for the local backend'), 'Should name the backend');
+  }
+});
+
+// Test 30: Unknown clouds are rejected before contacting Azure
+test('Up rejects an unknown cloud', () => {
+  try {
+    execSync('docker-azure compose up testdb --resource postgres --server_name test --cloud AzureGermanCloud', {
+      encoding: 'utf8',
+      stdio: 'pipe',
+      env: { ...process.env, AZURE_SUBSCRIPTION_ID: '00000000-0000-0000-0000-000000000000' }
+    });
+    assert.fail('Should exit with non-zero code');
+  } catch (error) {
+    assert(error.status === 1, 'Should exit with code 1');
+    assert(error.stdout.includes('Invalid cloud: AzureGermanCloud'), 'Should report the invalid cloud');
+  }
+});
+
+// Test 31: Every invalid option is reported at once, before contacting Azure
+test('Up reports all invalid options together', () => {
+  try {
+    execSync('docker-azure compose up files --resource storage --server_name Test_Storage --storage_mb 10gb --geo_redundant_backup yes --public_access world', {
+      encoding: 'utf8',
+      stdio: 'pipe',
+      env: { ...process.env, AZURE_SUBSCRIPTION_ID: '00000000-0000-0000-0000-000000000000' }
+    });
+    assert.fail('Should exit with non-zero code');
+  } catch (error) {
+    assert(error.status === 1, 'Should exit with code 1');
+    assert(error.stdout.includes('4 invalid options'), 'Should count the violations');
+    assert(error.stdout.includes('Invalid server_name: Test_Storage (3-24 lowercase letters and digits)'), 'Should apply the storage naming rule');
+    assert(error.stdout.includes('Invalid storage_mb: 10gb (expected an integer)'), 'Should reject a non-integer');
+    assert(error.stdout.includes('Invalid geo_redundant_backup: yes (expected true or false)'), 'Should reject a non-boolean');
+    assert(error.stdout.includes('Invalid public_access: world (expected none, blob, container)'), 'Should reject a value outside the enum');
+    assert(!error.stdout.includes('Authenticating'), 'Should not get as far as Azure');
+  }
+});
+
+// Test 32: down resolves the same generated server_name as up
+test('Down generates a stable server_name per project, service and subscription', () => {
+  const plan = subscriptionId => execSync('docker-azure --project-name shop compose down orders-db --dry-run', {
+    encoding: 'utf8',
+    env: { ...process.env, AZURE_SUBSCRIPTION_ID: subscriptionId }
+  });
+  const first = plan('00000000-0000-0000-0000-000000000000');
+  const match = /Plan: delete PostgreSQL server (shop-orders-db-[0-9a-f]{8}) /.exec(first);
+  assert(match, 'Should derive the name from project and service');
+  assert(first.includes(`Using generated server_name ${match[1]}`), 'Should report the generated name');
+  assert(plan('00000000-0000-0000-0000-000000000000').includes(match[1]), 'Should generate the same name again');
+  assert(!plan('11111111-1111-1111-1111-111111111111').includes(match[1]), 'Should differ between subscriptions');
+});
+
+// Test 33: Connection formats and env_mapping are checked before contacting Azure
+test('Up rejects unsupported formats and malformed env_mapping', () => {
+  try {
+    execSync('docker-azure compose up cache --resource redis --server_name testcache --formats jdbc --env_mapping URL=redis-url', {
+      encoding: 'utf8',
+      stdio: 'pipe',
+      env: { ...process.env, AZURE_SUBSCRIPTION_ID: '00000000-0000-0000-0000-000000000000' }
+    });
+    assert.fail('Should exit with non-zero code');
+  } catch (error) {
+    assert(error.status === 1, 'Should exit with code 1');
+    assert(error.stdout.includes('Invalid formats: jdbc (Redis cache supports none)'), 'Should reject formats for redis');
+    assert(error.stdout.includes('Invalid env_mapping entry: URL=redis-url'), 'Should reject the mapping entry');
+  }
+});
+
+// Test 34: Malformed extensions and server parameters are rejected before contacting Azure
+test('Up rejects malformed extensions and server_parameters', () => {
+  try {
+    execSync('docker-azure compose up testdb --resource postgres --server_name test --extensions "vector;drop" --server_parameters 500', {
+      encoding: 'utf8',
+      stdio: 'pipe',
+      env: { ...process.env, AZURE_SUBSCRIPTION_ID: '00000000-0000-0000-0000-000000000000' }
+    });
+    assert.fail('Should exit with non-zero code');
+  } catch (error) {
+    assert(error.status === 1, 'Should exit with code 1');
+    assert(error.stdout.includes('Invalid extension: vector;drop'), 'Should reject the extension name');
+    assert(error.stdout.includes('Invalid server_parameters entry: 500'), 'Should reject the parameter entry');
+  }
+});
+
+// Test 35: Entra ID sign-in is PostgreSQL only and needs an object ID
+test('Up rejects auth_mode entra for MySQL and a malformed entra_admin', () => {
+  try {
+    execSync('docker-azure compose up testdb --resource mysql --server_name test --auth_mode entra --entra_admin me', {
+      encoding: 'utf8',
+      stdio: 'pipe',
+      env: { ...process.env, AZURE_SUBSCRIPTION_ID: '00000000-0000-0000-0000-000000000000' }
+    });
+    assert.fail('Should exit with non-zero code');
+  } catch (error) {
+    assert(error.status === 1, 'Should exit with code 1');
+    assert(error.stdout.includes('Invalid auth_mode: entra (MySQL server supports password)'), 'Should reject entra for mysql');
+    assert(error.stdout.includes('Invalid entra_admin: me (an object ID'), 'Should reject the object ID');
+  }
+});
+
+// Test 36: Missing init scripts are reported before contacting Azure
+test('Up rejects init_scripts that do not exist', () => {
+  try {
+    execSync('docker-azure compose up testdb --resource postgres --server_name test --init_scripts db/missing.sql', {
+      encoding: 'utf8',
+      stdio: 'pipe',
+      env: { ...process.env, AZURE_SUBSCRIPTION_ID: '00000000-0000-0000-0000-000000000000' }
+    });
+    assert.fail('Should exit with non-zero code');
+  } catch (error) {
+    assert(error.status === 1, 'Should exit with code 1');
+    assert(error.stdout.includes('Invalid init_scripts entry: db/missing.sql'), 'Should name the missing path');
+  }
+
+  // Paths are relative to the project directory, not the directory the plugin runs in
+  const project = fs.mkdtempSync(path.join(os.tmpdir(), 'docker-azure-project-'));
+  fs.mkdirSync(path.join(project, 'db'));
+  fs.writeFileSync(path.join(project, 'db', 'missing.sql'), 'SELECT 1;');
+  execSync('docker-azure compose up testdb --resource postgres --backend local --dry-run --init_scripts db/missing.sql', {
+    encoding: 'utf8',
+    env: fakeDockerEnv({ ...process.env, COMPOSE_PROJECT_DIR: project })
+  });
+});
+
+// Test 37: Database names the Go driver would misread are refused with the dsn format
+test('Up rejects a database_name the dsn format cannot carry', () => {
+  try {
+    execSync('docker-azure compose up testdb --resource mysql --server_name test-mysql --formats dsn --database_name app/db', {
+      encoding: 'utf8',
+      stdio: 'pipe',
+      env: { ...process.env, AZURE_SUBSCRIPTION_ID: '00000000-0000-0000-0000-000000000000' }
+    });
+    assert.fail('Should exit with non-zero code');
+  } catch (error) {
+    assert(error.status === 1, 'Should exit with code 1');
+    assert(error.stdout.includes("Invalid database_name: app/db (the dsn format cannot carry '/', '?' or '%')"), 'Should reject the database name');
+  }
+});
+
+fs.rmSync(process.env.DOCKER_AZURE_STATE_DIR, { recursive: true, force: true });
+
 console.log('\n========================================');
 console.log(`Results: ${passedTests} passed, ${failedTests} failed`);
 console.log('========================================\n');
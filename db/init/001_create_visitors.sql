@@ -0,0 +1,6 @@
+-- Applied once by the Azure provider (init_scripts in docker-compose.yml)
+CREATE TABLE IF NOT EXISTS visitors (
+  id SERIAL PRIMARY KEY,
+  timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  ip_address VARCHAR(45)
+);